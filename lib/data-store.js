@@ -0,0 +1,851 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+"use strict";
+
+var Promise = require("bluebird"),
+    fs = require("fs"),
+    path = require("path"),
+    _ = require("lodash"),
+    tracker_utils = require("./tracker-utils"),
+    migrations = require("./migrations");
+
+/*
+ * Data stores hold the log and the issue database between runs, and are how the rest of the tracker
+ * reads and writes them. Each store has:
+ *   files - the files the store keeps in the storage directory, which need to be pulled and pushed
+ *   load() - reads the whole log and issue database, resolving with `{log: Object, db: Object}`
+ *   loadRepo(repo, scope) - reads just the part of one repo's log and issue database that the scope
+ *       asks for (see below), resolving with `{log: Object, db: Object}` for that repo
+ *   save(data) - writes the log and issue database. Only what was read is replaced, so after
+ *       `loadRepo()` this doesn't remove anything that was left out of the scope.
+ *   saveIssues(db) - writes just the issue database, e.g. to keep the checkpoints from a failed run
+ *   close() - releases anything the store has open
+ * All the methods besides `files` return promises. The log and issue database are in the same
+ * format whichever store they come from, so the rest of the tracker doesn't need to know which
+ * one is in use.
+ *
+ * A scope has:
+ *   issues - "all", "open", or an array of issue numbers: the issues to read, with all their history
+ *       and the comments on them
+ *   history - (optional) if true, also read the label and state history of every other issue, which
+ *       is what the stats need. Those issues may only have the fields that the stats and report look
+ *       at, so don't save what's read with this.
+ * The pull request activity and everything else at the top level, like the timestamps and ETags,
+ * are always read. The JSON store has to read the files in full anyway, so it always reads everything.
+ */
+
+/**
+ * Keeps the log in `log.json` and the issue database in `allIssues.json`, both in the storage directory.
+ * @constructor
+ * @param {Object} config The config object.
+ * @param {string} dir The storage directory.
+ */
+function JSONStore(config, dir) {
+    this.config = config;
+    this.logFile = path.join(dir, "log.json");
+    this.dbFile = path.join(dir, "allIssues.json");
+    // Older versions kept the issue database in the working directory, and never stored it.
+    this.legacyDBFile = "allIssues.json";
+    this.files = ["log.json", "allIssues.json"];
+    this._data = null;
+}
+
+/**
+ * Reads the log and the issue database. Either file may be missing, in which case it's empty. If
+ * the issue database isn't in storage yet, but there's one in the working directory from an older
+ * version, that's used instead (and it's saved to storage from then on). If the config has been
+ * switched from `repo` to `repos`, the files are moved under `repos` (see `migrations.migrateLayout()`).
+ * @return {Promise} A promise that's resolved with `{log: Object, db: Object}`.
+ */
+JSONStore.prototype.load = function () {
+    var self = this,
+        config = this.config,
+        dbFile = this.dbFile;
+    if (!fs.existsSync(dbFile) && fs.existsSync(this.legacyDBFile)) {
+        console.log("Moving " + this.legacyDBFile + " into storage");
+        dbFile = this.legacyDBFile;
+    }
+    return Promise.props({
+        log: tracker_utils.readJSON(this.logFile),
+        db: tracker_utils.readJSON(dbFile)
+    }).then(function (data) {
+        var movedLog = migrations.migrateLayout(config, data.log, "The log"),
+            movedDB = migrations.migrateLayout(config, data.db, "The issue database");
+        if (movedLog || movedDB) {
+            console.log("Moving the data for " + config.repo + " under repos");
+        }
+        self._data = data;
+        return data;
+    });
+};
+
+/**
+ * Reads the log and the issue database for one repo. The files are only read the first time; after
+ * that, this returns the same objects again. The scope is ignored, since the whole file has to be
+ * read anyway.
+ * @param {string} repo The repo, in `user/repo` format.
+ * @param {Object} scope What to read (see above).
+ * @return {Promise} A promise that's resolved with `{log: Object, db: Object}` for the repo.
+ */
+JSONStore.prototype.loadRepo = function (repo, scope) {
+    var config = this.config;
+    return (this._data ? Promise.resolve(this._data) : this.load()).then(function (data) {
+        return {
+            log: tracker_utils.getRepoData(data.log, config, repo),
+            db: tracker_utils.getRepoData(data.db, config, repo)
+        };
+    });
+};
+
+/**
+ * @private
+ * Merges the log or issue database being saved with the one that was read, so that when tracking
+ * several repos, any repos it doesn't have are kept as they were.
+ * @param {string} key "log" or "db".
+ * @param {Object} data The log or issue database being saved.
+ * @return {Object} What to write.
+ */
+JSONStore.prototype._merge = function (key, data) {
+    var previous = this._data && this._data[key];
+    if (!previous || !this.config.repos) {
+        return data;
+    }
+    return _.extend({}, previous, data, { repos: _.extend({}, previous.repos, data.repos) });
+};
+
+/**
+ * Writes the log and the issue database. The previous log is backed up to log.backup.json first,
+ * and each file is written atomically.
+ * @param {{log: Object, db: Object}} data The log and issue database.
+ * @return {Promise} A promise that's resolved when the files have been written.
+ */
+JSONStore.prototype.save = function (data) {
+    var self = this;
+    self._data = { log: self._merge("log", data.log), db: self._merge("db", data.db) };
+    var logText = JSON.stringify(self._data.log, null, "  ");
+    return tracker_utils.backupFile(this.logFile, "log.backup.json")
+        .then(function () {
+            return Promise.join(tracker_utils.writeFileAtomic(self.logFile, logText),
+                                self.saveIssues(self._data.db));
+        });
+};
+
+/**
+ * Writes the issue database.
+ * @param {Object} db The issue database.
+ * @return {Promise} A promise that's resolved when the file has been written.
+ */
+JSONStore.prototype.saveIssues = function (db) {
+    return tracker_utils.writeFileAtomic(this.dbFile, JSON.stringify(this._merge("db", db), null, "  "));
+};
+
+/**
+ * Nothing to close for JSON files.
+ * @return {Promise} A resolved promise.
+ */
+JSONStore.prototype.close = function () {
+    return Promise.resolve();
+};
+
+// The SQLite tables, with their columns and the columns that identify a row. Every table has a `repo`
+// column, so one database can hold all the repos in `config.repos`. The tables that are read and
+// written an issue at a time have the column with the issue number in `issue`, and the ones the
+// stats need for every issue are marked as `history`.
+var TABLES = {
+    issues: {
+        columns: ["repo", "number", "type", "title", "user", "state", "milestone", "labels", "assignees",
+                  "requested_reviewers", "created_at", "updated_at", "closed_at", "merged_at", "data"],
+        key: ["repo", "number"],
+        issue: "number",
+        history: true
+    },
+    issue_labels: {
+        columns: ["repo", "issue", "current"],
+        key: ["repo", "issue"],
+        issue: "issue",
+        history: true
+    },
+    label_changes: {
+        columns: ["repo", "issue", "timestamp", "label", "action", "actor"],
+        key: ["repo", "issue", "timestamp", "label", "action"],
+        issue: "issue",
+        history: true
+    },
+    state_changes: {
+        columns: ["repo", "issue", "timestamp", "event", "actor", "reason"],
+        key: ["repo", "issue", "timestamp", "event"],
+        issue: "issue",
+        history: true
+    },
+    issue_values: {
+        columns: ["repo", "field", "issue", "current"],
+        key: ["repo", "field", "issue"],
+        issue: "issue"
+    },
+    value_changes: {
+        columns: ["repo", "field", "issue", "timestamp", "value", "action", "actor"],
+        key: ["repo", "field", "issue", "timestamp", "value", "action"],
+        issue: "issue"
+    },
+    comments: {
+        columns: ["repo", "issue", "user", "created"],
+        key: ["repo", "issue", "user", "created"],
+        issue: "issue"
+    },
+    pr_activity: {
+        columns: ["repo", "number", "latest_assignee_comment", "latest_user_comment"],
+        key: ["repo", "number"]
+    },
+    meta: {
+        columns: ["repo", "source", "key", "value"],
+        key: ["repo", "source", "key"]
+    }
+};
+
+var SCHEMA = [
+    "CREATE TABLE IF NOT EXISTS issues (repo TEXT NOT NULL, number INTEGER NOT NULL, type TEXT, title TEXT, " +
+        "user TEXT, state TEXT, milestone TEXT, labels TEXT, assignees TEXT, requested_reviewers TEXT, " +
+        "created_at INTEGER, updated_at INTEGER, closed_at INTEGER, merged_at INTEGER, data TEXT NOT NULL, " +
+        "PRIMARY KEY (repo, number))",
+    "CREATE TABLE IF NOT EXISTS issue_labels (repo TEXT NOT NULL, issue INTEGER NOT NULL, current TEXT NOT NULL, " +
+        "PRIMARY KEY (repo, issue))",
+    "CREATE TABLE IF NOT EXISTS label_changes (repo TEXT NOT NULL, issue INTEGER NOT NULL, timestamp INTEGER NOT NULL, " +
+        "label TEXT NOT NULL, action TEXT NOT NULL CHECK (action IN ('added', 'removed')), actor TEXT, " +
+        "PRIMARY KEY (repo, issue, timestamp, label, action))",
+    "CREATE TABLE IF NOT EXISTS state_changes (repo TEXT NOT NULL, issue INTEGER NOT NULL, timestamp INTEGER NOT NULL, " +
+        "event TEXT NOT NULL, actor TEXT, reason TEXT, PRIMARY KEY (repo, issue, timestamp, event))",
+    "CREATE TABLE IF NOT EXISTS issue_values (repo TEXT NOT NULL, field TEXT NOT NULL, issue INTEGER NOT NULL, " +
+        "current TEXT NOT NULL, PRIMARY KEY (repo, field, issue))",
+    "CREATE TABLE IF NOT EXISTS value_changes (repo TEXT NOT NULL, field TEXT NOT NULL, issue INTEGER NOT NULL, " +
+        "timestamp INTEGER NOT NULL, value TEXT NOT NULL, action TEXT NOT NULL CHECK (action IN ('added', 'removed')), " +
+        "actor TEXT, PRIMARY KEY (repo, field, issue, timestamp, value, action))",
+    "CREATE TABLE IF NOT EXISTS comments (repo TEXT NOT NULL, issue INTEGER NOT NULL, user TEXT NOT NULL, " +
+        "created INTEGER NOT NULL, PRIMARY KEY (repo, issue, user, created))",
+    "CREATE TABLE IF NOT EXISTS pr_activity (repo TEXT NOT NULL, number INTEGER NOT NULL, " +
+        "latest_assignee_comment INTEGER, latest_user_comment INTEGER, PRIMARY KEY (repo, number))",
+    "CREATE TABLE IF NOT EXISTS meta (repo TEXT NOT NULL, source TEXT NOT NULL, key TEXT NOT NULL, " +
+        "value TEXT NOT NULL, PRIMARY KEY (repo, source, key))"
+];
+
+// The histories in the log that are kept in `issue_values` and `value_changes`, keyed by what's in
+// the `field` column. They're in the same format as `issueLabels`.
+var VALUE_HISTORIES = {
+    milestone: "issueMilestones",
+    assignee: "issueAssignees"
+};
+
+// Columns that have been added to the tables since they were first created, so databases created
+// by older versions of the tracker need them added.
+var ADDED_COLUMNS = [
+    { table: "label_changes", column: "actor", type: "TEXT" }
+];
+
+/**
+ * @private
+ * Returns the values of the given columns of a row, with undefined values turned into nulls.
+ * @param {Object} row The row, as an object keyed by column name.
+ * @param {Array.<string>} columns The columns to return.
+ * @return {Array} The values.
+ */
+function _values(row, columns) {
+    return columns.map(function (column) {
+        return row[column] === undefined ? null : row[column];
+    });
+}
+
+/**
+ * @private
+ * Calls the callback for each value added or removed in a label, milestone or assignee history.
+ * @param {Object} history The issue's history, with its `changes`.
+ * @param {function(number, string, string, ?string)} callback Called with the timestamp, the value,
+ *      the action ("added" or "removed") and who made the change.
+ */
+function _forEachChange(history, callback) {
+    _.forEach(history.changes || {}, function (change, timestamp) {
+        ["added", "removed"].forEach(function (action) {
+            var actors = change[action + "By"] || {};
+            (change[action] || []).forEach(function (value) {
+                callback(Number(timestamp), value, action, actors[value]);
+            });
+        });
+    });
+}
+
+/**
+ * @private
+ * Adds a value added or removed at the given time to a label, milestone or assignee history.
+ * @param {Object} history The issue's history.
+ * @param {number} timestamp When it changed.
+ * @param {string} value The label, milestone or assignee.
+ * @param {string} action "added" or "removed".
+ * @param {?string} actor Who changed it.
+ */
+function _addChange(history, timestamp, value, action, actor) {
+    var change = history.changes[timestamp] = history.changes[timestamp] || {};
+    change[action] = (change[action] || []).concat(value);
+    change[action + "By"] = change[action + "By"] || {};
+    change[action + "By"][value] = actor;
+}
+
+/**
+ * @private
+ * Converts one repo's log and issue database into table rows.
+ * @param {string} repo The repo, in `user/repo` format.
+ * @param {Object} log The repo's log.
+ * @param {Object} db The repo's issue database.
+ * @return {Object} The rows for each table, keyed by table name.
+ */
+function _toRows(repo, log, db) {
+    var rows = _.mapValues(TABLES, function () {
+        return [];
+    });
+
+    _.forEach(db.issues || {}, function (issue, number) {
+        rows.issues.push({
+            repo: repo,
+            number: Number(number),
+            type: issue.type,
+            title: issue.title,
+            user: issue.user,
+            state: issue.state,
+            milestone: issue.milestone,
+            labels: JSON.stringify(issue.labels || []),
+            assignees: JSON.stringify(issue.assignees || []),
+            requested_reviewers: JSON.stringify(issue.requestedReviewers || []),
+            created_at: issue.createdAt,
+            updated_at: issue.updatedAt,
+            closed_at: issue.closedAt,
+            merged_at: issue.mergedAt,
+            data: JSON.stringify(issue)
+        });
+    });
+
+    _.forEach(db.comments || {}, function (comments, number) {
+        comments.forEach(function (comment) {
+            rows.comments.push({ repo: repo, issue: Number(number), user: comment.user, created: comment.created });
+        });
+    });
+
+    _.forEach(log.issueLabels || {}, function (labelInfo, number) {
+        rows.issue_labels.push({ repo: repo, issue: Number(number), current: JSON.stringify(labelInfo.current || []) });
+        _forEachChange(labelInfo, function (timestamp, label, action, actor) {
+            rows.label_changes.push({ repo: repo, issue: Number(number), timestamp: timestamp,
+                                      label: label, action: action, actor: actor });
+        });
+    });
+
+    _.forEach(VALUE_HISTORIES, function (key, field) {
+        _.forEach(log[key] || {}, function (history, number) {
+            rows.issue_values.push({ repo: repo, field: field, issue: Number(number), current: JSON.stringify(history.current || []) });
+            _forEachChange(history, function (timestamp, value, action, actor) {
+                rows.value_changes.push({ repo: repo, field: field, issue: Number(number), timestamp: timestamp,
+                                          value: value, action: action, actor: actor });
+            });
+        });
+    });
+
+    _.forEach(log.issueStates || {}, function (history, number) {
+        history.forEach(function (change) {
+            rows.state_changes.push({ repo: repo, issue: Number(number), timestamp: change.timestamp,
+                                      event: change.event, actor: change.actor, reason: change.reason });
+        });
+    });
+
+    _.forEach(log.pullRequests || {}, function (pr, number) {
+        rows.pr_activity.push({
+            repo: repo,
+            number: Number(number),
+            latest_assignee_comment: pr.latestAssigneeComment,
+            latest_user_comment: pr.latestUserComment
+        });
+    });
+
+    // Anything else, like the timestamps, checkpoints and ETags, is kept as JSON.
+    _.forEach(_.omit(log, ["issueLabels", "issueStates", "pullRequests"].concat(_.values(VALUE_HISTORIES))), function (value, key) {
+        rows.meta.push({ repo: repo, source: "log", key: key, value: JSON.stringify(value) });
+    });
+    _.forEach(_.omit(db, ["issues", "comments"]), function (value, key) {
+        rows.meta.push({ repo: repo, source: "db", key: key, value: JSON.stringify(value) });
+    });
+
+    return rows;
+}
+
+/**
+ * @private
+ * Makes an issue out of the columns of its row in the `issues` table, for when its full data wasn't
+ * read. It has everything the stats and the report look at.
+ * @param {Object} row The row, without the `data` column.
+ * @return {Object} The issue.
+ */
+function _issueSummary(row) {
+    var issue = {
+        number: row.number,
+        type: row.type,
+        title: row.title,
+        user: row.user,
+        state: row.state,
+        milestone: row.milestone,
+        labels: JSON.parse(row.labels),
+        assignees: JSON.parse(row.assignees),
+        requestedReviewers: JSON.parse(row.requested_reviewers),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        closedAt: row.closed_at
+    };
+    if (row.type === "pull") {
+        issue.mergedAt = row.merged_at;
+    }
+    return issue;
+}
+
+/**
+ * @private
+ * Converts the table rows for one repo back into its log and issue database.
+ * @param {Object} rows The rows for each table, keyed by table name.
+ * @return {{log: Object, db: Object}} The repo's log and issue database.
+ */
+function _fromRows(rows) {
+    var log = { issueLabels: {}, issueStates: {}, pullRequests: {} },
+        db = { issues: {} };
+
+    rows.issues.forEach(function (row) {
+        db.issues[row.number] = row.data !== undefined ? JSON.parse(row.data) : _issueSummary(row);
+    });
+
+    rows.comments.forEach(function (row) {
+        db.comments = db.comments || {};
+        db.comments[row.issue] = (db.comments[row.issue] || []).concat({ user: row.user, created: row.created });
+    });
+
+    rows.issue_labels.forEach(function (row) {
+        log.issueLabels[row.issue] = { changes: {}, current: JSON.parse(row.current) };
+    });
+    rows.label_changes.forEach(function (row) {
+        var labelInfo = log.issueLabels[row.issue] = log.issueLabels[row.issue] || { changes: {}, current: [] };
+        _addChange(labelInfo, row.timestamp, row.label, row.action, row.actor);
+    });
+
+    _.forEach(VALUE_HISTORIES, function (key) {
+        log[key] = {};
+    });
+    rows.issue_values.forEach(function (row) {
+        log[VALUE_HISTORIES[row.field]][row.issue] = { changes: {}, current: JSON.parse(row.current) };
+    });
+    rows.value_changes.forEach(function (row) {
+        var histories = log[VALUE_HISTORIES[row.field]],
+            history = histories[row.issue] = histories[row.issue] || { changes: {}, current: [] };
+        _addChange(history, row.timestamp, row.value, row.action, row.actor);
+    });
+
+    _.forEach(_.groupBy(rows.state_changes, "issue"), function (changes, number) {
+        log.issueStates[number] = _.sortBy(changes, "timestamp").map(function (row) {
+            var change = { event: row.event, timestamp: row.timestamp, actor: row.actor };
+            if (row.reason !== null) {
+                change.reason = row.reason;
+            }
+            return change;
+        });
+    });
+
+    rows.pr_activity.forEach(function (row) {
+        var pr = log.pullRequests[row.number] = {};
+        if (row.latest_assignee_comment !== null) {
+            pr.latestAssigneeComment = row.latest_assignee_comment;
+        }
+        if (row.latest_user_comment !== null) {
+            pr.latestUserComment = row.latest_user_comment;
+        }
+    });
+
+    rows.meta.forEach(function (row) {
+        (row.source === "log" ? log : db)[row.key] = JSON.parse(row.value);
+    });
+
+    return { log: log, db: db };
+}
+
+/**
+ * Keeps the log and the issue database in an SQLite database in the storage directory, with tables
+ * for the issues, the label, state, milestone and assignee changes, the comments on the open pull
+ * requests and the pull request activity. Only the part of the data a scope asks for is read (see
+ * `loadRepo()`), and when it's saved, only the rows in that part are compared with what's in the
+ * database, and only the ones that have changed are written. Needs the optional `sqlite3` module.
+ * @constructor
+ * @param {Object} config The config object. `sqlite_file` can be set to the name of the database
+ *      file; it defaults to "tracker.db".
+ * @param {string} dir The storage directory.
+ */
+function SQLiteStore(config, dir) {
+    var filename = config.sqlite_file || "tracker.db";
+    this.config = config;
+    this.filename = path.join(dir, filename);
+    this.files = [filename];
+    this._db = null;
+    this._opened = null;
+    // The issues that have been read for each repo, as a map from issue number to true, or "all".
+    this._read = {};
+}
+
+/**
+ * @private
+ * Runs a statement, or gets all the rows for a query.
+ * @param {string} method "run" or "all".
+ * @param {string} sql The SQL.
+ * @param {Array=} params The parameters for the SQL.
+ * @return {Promise} A promise that's resolved with the result.
+ */
+SQLiteStore.prototype._query = function (method, sql, params) {
+    var db = this._db;
+    return new Promise(function (resolve, reject) {
+        db[method](sql, params || [], function (err, result) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(result);
+            }
+        });
+    });
+};
+
+/**
+ * @private
+ * Gets a repo's rows from a table, optionally just the ones for the given issues.
+ * @param {string} table The table.
+ * @param {string} repo The repo.
+ * @param {?Array.<number>=} numbers The issues to get the rows for. All of them if this isn't given.
+ * @param {Array.<string>=} columns The columns to get. All of them if this isn't given.
+ * @return {Promise} A promise that's resolved with the rows, in the order they were written.
+ */
+SQLiteStore.prototype._rows = function (table, repo, numbers, columns) {
+    var sql = "SELECT " + (columns ? columns.join(", ") : "*") + " FROM " + table + " WHERE repo = ?",
+        params = [repo];
+    if (numbers) {
+        // The numbers go in as a single JSON array, since there can be more of them than SQLite
+        // allows parameters.
+        sql += " AND " + TABLES[table].issue + " IN (SELECT value FROM json_each(?))";
+        params.push(JSON.stringify(numbers));
+    }
+    return this._query("all", sql + " ORDER BY rowid", params);
+};
+
+/**
+ * @private
+ * Returns the issues that have been read for a repo, which are the ones saving can replace.
+ * @param {string} repo The repo.
+ * @return {?Array.<number>} The issue numbers, or null if all of the repo's issues have been read
+ *      (or none of them have, so saving replaces everything).
+ */
+SQLiteStore.prototype._readIssues = function (repo) {
+    var read = this._read[repo];
+    if (!read || read === "all") {
+        return null;
+    }
+    return Object.keys(read).map(Number);
+};
+
+/**
+ * @private
+ * Opens the database, creating the tables if they don't exist.
+ * @return {Promise} A promise that's resolved when the database is ready.
+ */
+SQLiteStore.prototype._open = function () {
+    var self = this,
+        sqlite3;
+    if (self._opened) {
+        return self._opened;
+    }
+    try {
+        sqlite3 = require("sqlite3");
+    } catch (err) {
+        return Promise.reject(new Error("The sqlite3 module isn't installed. Run `npm install sqlite3` to use the SQLite store."));
+    }
+    self._opened = new Promise(function (resolve, reject) {
+        self._db = new sqlite3.Database(self.filename, function (err) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    })
+        .then(function () {
+            return Promise.reduce(SCHEMA, function (ignored, sql) {
+                return self._query("run", sql);
+            }, null);
+        })
+        .then(function () {
+            return Promise.reduce(ADDED_COLUMNS, function (ignored, added) {
+                return self._query("all", "PRAGMA table_info(" + added.table + ")").then(function (columns) {
+                    if (!_.find(columns, { name: added.column })) {
+                        return self._query("run", "ALTER TABLE " + added.table + " ADD COLUMN " + added.column + " " + added.type);
+                    }
+                });
+            }, null);
+        });
+    return self._opened;
+};
+
+/**
+ * Reads the whole log and issue database for the repos in the config.
+ * @return {Promise} A promise that's resolved with `{log: Object, db: Object}`.
+ */
+SQLiteStore.prototype.load = function () {
+    var self = this,
+        data = { log: {}, db: {} };
+    return Promise.reduce(tracker_utils.getRepos(self.config), function (ignored, repo) {
+        return self.loadRepo(repo, { issues: "all" }).then(function (repoData) {
+            data.log = tracker_utils.setRepoData(data.log, self.config, repo, repoData.log);
+            data.db = tracker_utils.setRepoData(data.db, self.config, repo, repoData.db);
+        });
+    }, null).then(function () {
+        return data;
+    });
+};
+
+/**
+ * Reads the part of a repo's log and issue database that the scope asks for (see above). The issues
+ * it reads are added to the ones that `save()` replaces.
+ * @param {string} repo The repo, in `user/repo` format.
+ * @param {Object} scope What to read.
+ * @return {Promise} A promise that's resolved with `{log: Object, db: Object}` for the repo.
+ */
+SQLiteStore.prototype.loadRepo = function (repo, scope) {
+    var self = this;
+    return self._open()
+        .then(function () {
+            if (scope.issues === "open") {
+                return self._query("all", "SELECT number FROM issues WHERE repo = ? AND state = 'open'", [repo])
+                    .then(function (rows) {
+                        return _.pluck(rows, "number");
+                    });
+            }
+            return scope.issues === "all" ? null : scope.issues;
+        })
+        .then(function (numbers) {
+            if (!numbers) {
+                self._read[repo] = "all";
+            } else if (self._read[repo] !== "all") {
+                self._read[repo] = self._read[repo] || {};
+                numbers.forEach(function (number) {
+                    self._read[repo][number] = true;
+                });
+            }
+
+            return Promise.props(_.mapValues(TABLES, function (def, table) {
+                if (!def.issue || !numbers) {
+                    return self._rows(table, repo);
+                }
+                if (!scope.history || !def.history) {
+                    return self._rows(table, repo, numbers);
+                }
+                if (table !== "issues") {
+                    return self._rows(table, repo);
+                }
+                // The stats only need the columns of the other issues, not their full data.
+                return Promise.join(self._rows(table, repo, null, _.without(def.columns, "data")),
+                                    self._rows(table, repo, numbers))
+                    .spread(function (summaries, issues) {
+                        return summaries.concat(issues);
+                    });
+            }));
+        })
+        .then(_fromRows);
+};
+
+/**
+ * @private
+ * Writes a repo's rows to the given tables, comparing them with what's in the database a table at
+ * a time, so only the rows that are new or have changed are inserted, and the ones for the issues
+ * that have been read that have gone away are deleted. Rows for other issues are never deleted. Must
+ * be called inside a transaction.
+ * @param {string} repo The repo.
+ * @param {Object} rows The rows for each table, keyed by table name.
+ * @param {function(Object): boolean=} isSavedMeta Returns whether an existing row in the meta table is
+ *      being saved, so it should be deleted if it's no longer there. By default all of them are.
+ * @return {Promise} A promise that's resolved when the rows have been written.
+ */
+SQLiteStore.prototype._sync = function (repo, rows, isSavedMeta) {
+    var self = this,
+        numbers = self._readIssues(repo);
+    return Promise.reduce(Object.keys(rows), function (ignored, table) {
+        var def = TABLES[table],
+            keyOf = function (row) {
+                return JSON.stringify(_values(row, def.key));
+            };
+
+        return self._rows(table, repo, def.issue ? numbers : null).then(function (existing) {
+            var previous = {},
+                statements = [];
+            existing.forEach(function (row) {
+                if (table !== "meta" || !isSavedMeta || isSavedMeta(row)) {
+                    previous[keyOf(row)] = JSON.stringify(_values(row, def.columns));
+                }
+            });
+            rows[table].forEach(function (row) {
+                var key = keyOf(row),
+                    values = _values(row, def.columns);
+                if (previous[key] !== JSON.stringify(values)) {
+                    statements.push(["INSERT OR REPLACE INTO " + table + " (" + def.columns.join(", ") + ") VALUES (" +
+                                     _.map(def.columns, function () { return "?"; }).join(", ") + ")", values]);
+                }
+                delete previous[key];
+            });
+            Object.keys(previous).forEach(function (key) {
+                statements.push(["DELETE FROM " + table + " WHERE " + def.key.map(function (column) {
+                    return column + " = ?";
+                }).join(" AND "), JSON.parse(key)]);
+            });
+
+            return Promise.reduce(statements, function (ignored, statement) {
+                return self._query("run", statement[0], statement[1]);
+            }, null);
+        });
+    }, null);
+};
+
+/**
+ * @private
+ * Saves the given tables for every repo in the config inside a single transaction.
+ * @param {function(string): Object} getRows Returns the rows to save for a repo, keyed by table name.
+ * @param {function(Object): boolean=} isSavedMeta Returns whether an existing row in the meta table is
+ *      being saved. By default all of a repo's meta rows are.
+ * @return {Promise} A promise that's resolved when the transaction has been committed.
+ */
+SQLiteStore.prototype._save = function (getRows, isSavedMeta) {
+    var self = this;
+    return self._open()
+        .then(function () {
+            return self._query("run", "BEGIN");
+        })
+        .then(function () {
+            return Promise.reduce(tracker_utils.getRepos(self.config), function (ignored, repo) {
+                return self._sync(repo, getRows(repo), isSavedMeta);
+            }, null);
+        })
+        .then(function () {
+            return self._query("run", "COMMIT");
+        }, function (err) {
+            return self._query("run", "ROLLBACK").then(function () {
+                throw err;
+            });
+        });
+};
+
+/**
+ * Writes the log and the issue database. For each repo, the rows for the issues that have been read
+ * (or all of them, if nothing has been read) are replaced with what's in the data, and rows for any
+ * other issues in it are added or updated.
+ * @param {{log: Object, db: Object}} data The data to write.
+ * @return {Promise} A promise that's resolved when the data has been written.
+ */
+SQLiteStore.prototype.save = function (data) {
+    var config = this.config;
+    return this._save(function (repo) {
+        return _toRows(repo, tracker_utils.getRepoData(data.log, config, repo),
+                       tracker_utils.getRepoData(data.db, config, repo));
+    });
+};
+
+/**
+ * Writes just the issue database, leaving the log and the comments as they are.
+ * @param {Object} db The issue database.
+ * @return {Promise} A promise that's resolved when the issue database has been written.
+ */
+SQLiteStore.prototype.saveIssues = function (db) {
+    var config = this.config;
+    return this._save(function (repo) {
+        var rows = _toRows(repo, {}, tracker_utils.getRepoData(db, config, repo));
+        return {
+            issues: rows.issues,
+            meta: rows.meta
+        };
+    }, function (row) {
+        return row.source === "db";
+    });
+};
+
+/**
+ * Closes the database.
+ * @return {Promise} A promise that's resolved when the database has been closed.
+ */
+SQLiteStore.prototype.close = function () {
+    var self = this;
+    if (!self._db) {
+        return Promise.resolve();
+    }
+    return new Promise(function (resolve, reject) {
+        self._db.close(function (err) {
+            if (err) {
+                reject(err);
+            } else {
+                self._db = null;
+                self._opened = null;
+                resolve();
+            }
+        });
+    });
+};
+
+var stores = {
+    json: JSONStore,
+    sqlite: SQLiteStore
+};
+
+/**
+ * Creates the data store specified in the config.
+ * @param {Object} config The config object. `database` picks the store: "json" (the default) or "sqlite".
+ * @param {string} dir The storage directory.
+ * @return {JSONStore|SQLiteStore} The data store.
+ */
+function createStore(config, dir) {
+    var type = config.database || "json",
+        Store = stores[type];
+    if (!Store) {
+        throw new Error("Unknown database: " + type + ". Must be one of: " + Object.keys(stores).join(", "));
+    }
+    return new Store(config, dir);
+}
+
+/**
+ * Copies the log and issue database from the JSON files into the SQLite database, replacing what
+ * the SQLite database had for the repos in the config, and closes the SQLite database.
+ * @param {JSONStore} jsonStore The store to copy from.
+ * @param {SQLiteStore} sqliteStore The store to copy to.
+ * @return {Promise} A promise that's resolved when the data has been copied.
+ */
+function importJSON(jsonStore, sqliteStore) {
+    return jsonStore.load()
+        .then(function (data) {
+            return sqliteStore.save(data);
+        })
+        .then(function () {
+            return sqliteStore.close();
+        });
+}
+
+exports.JSONStore = JSONStore;
+exports.SQLiteStore = SQLiteStore;
+exports.createStore = createStore;
+exports.importJSON = importJSON;
@@ -0,0 +1,155 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+"use strict";
+
+var _ = require("lodash"),
+    tracker_utils = require("./tracker-utils");
+
+/**
+ * The migrations that upgrade a repo's log from one schema version to the next. `MIGRATIONS[n]`
+ * takes a log at version `n` and changes it in place to version `n + 1`. Logs written before the
+ * schema was versioned have no `schemaVersion`, and count as version 0.
+ *
+ * When you change the log format, add a migration here and describe the change in the README.
+ */
+var MIGRATIONS = [
+    /**
+     * Version 1: the first versioned schema. Logs from before pull requests were tracked have no
+     * `pullRequests` object, and logs from runs that found no issues have no `issueLabels`.
+     */
+    function (log) {
+        log.issueLabels = log.issueLabels || {};
+        log.pullRequests = log.pullRequests || {};
+    },
+
+    /**
+     * Version 2: each label change records who made it, in `addedBy` and `removedBy` maps from the
+     * label to the user. We don't know who made the changes that were recorded before this.
+     */
+    function (log) {
+        _.forEach(log.issueLabels, function (labelInfo) {
+            _.forEach(labelInfo.changes || {}, function (change) {
+                ["added", "removed"].forEach(function (action) {
+                    if (change[action] && !change[action + "By"]) {
+                        change[action + "By"] = _.zipObject(change[action], change[action].map(function () {
+                            return null;
+                        }));
+                    }
+                });
+            });
+        });
+    },
+
+    /**
+     * Version 3: adds `issueStates`, the history of each issue being opened, closed, reopened and
+     * merged. It's filled in from the issue database on the next run.
+     */
+    function (log) {
+        log.issueStates = log.issueStates || {};
+    },
+
+    /**
+     * Version 4: adds `issueMilestones` and `issueAssignees`, the histories of each issue's milestone
+     * and assignees, in the same format as `issueLabels`. They're filled in on the next run too.
+     */
+    function (log) {
+        log.issueMilestones = log.issueMilestones || {};
+        log.issueAssignees = log.issueAssignees || {};
+    }
+];
+
+// The schema version that this version of the tracker reads and writes.
+var SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Upgrades a single repo's log to the current schema version.
+ * 
+ * @param {Object} log The repo's log. This is changed in place.
+ * @param {string=} name What to call the log in error messages.
+ * @return {boolean} Whether the log needed upgrading.
+ */
+function migrateRepoLog(log, name) {
+    var version = log.schemaVersion || 0;
+    if (version > SCHEMA_VERSION) {
+        throw new Error((name || "The log") + " has schema version " + version + ", but this version of the tracker only " +
+                        "supports up to version " + SCHEMA_VERSION + ". Upgrade the tracker before running it again.");
+    }
+    for (; version < SCHEMA_VERSION; version++) {
+        MIGRATIONS[version](log);
+    }
+    var migrated = log.schemaVersion !== SCHEMA_VERSION;
+    log.schemaVersion = SCHEMA_VERSION;
+    return migrated;
+}
+
+/**
+ * Upgrades the log for each repo in the config to the current schema version.
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} log data from log.json. This is changed in place.
+ * @return {Array.<string>} The repos whose logs needed upgrading.
+ */
+function migrateLog(config, log) {
+    return tracker_utils.getRepos(config).filter(function (repo) {
+        return migrateRepoLog(tracker_utils.getRepoData(log, config, repo), "The log for " + repo);
+    });
+}
+
+/**
+ * Moves a log or issue database written while tracking a single repo (`repo`) under `repos`, once
+ * the config has been switched to tracking several repos, so the tracker carries on from it. There's
+ * no way to tell from the data which repo it came from, so it's moved under the repo that's still
+ * set in `repo`, which has to be one of the `repos` too.
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} data The log or issue database. This is changed in place.
+ * @param {string=} name What to call the data in error messages.
+ * @return {boolean} Whether anything was moved.
+ */
+function migrateLayout(config, data, name) {
+    var singleRepoData = _.omit(data, "repos");
+    if (!config.repos || _.isEmpty(singleRepoData)) {
+        return false;
+    }
+    name = name || "The log";
+    if (!config.repo || config.repos.indexOf(config.repo) === -1) {
+        throw new Error(name + " is from tracking a single repo. To carry on from it, set repo to that repo, " +
+                        "and list it in repos as well.");
+    }
+    data.repos = data.repos || {};
+    if (!_.isEmpty(data.repos[config.repo])) {
+        throw new Error(name + " has data for " + config.repo + " both from tracking it on its own and in repos. " +
+                        "Remove one of them.");
+    }
+    data.repos[config.repo] = singleRepoData;
+    Object.keys(singleRepoData).forEach(function (key) {
+        delete data[key];
+    });
+    return true;
+}
+
+exports.SCHEMA_VERSION = SCHEMA_VERSION;
+exports.migrateRepoLog = migrateRepoLog;
+exports.migrateLog = migrateLog;
+exports.migrateLayout = migrateLayout;
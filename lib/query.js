@@ -0,0 +1,251 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+"use strict";
+
+var moment = require("moment"),
+    _ = require("lodash"),
+    tracker_utils = require("./tracker-utils");
+
+/**
+ * Replays an issue's label history (from the log) up to the given time.
+ * 
+ * @param {Object} labelHistory See the log.json file's issueLabels object for format.
+ * @param {number} timestamp The time to stop at. Changes made at exactly this time are included.
+ * @return {Array.<string>} the tracked labels the issue had at that time
+ */
+function labelsAt(labelHistory, timestamp) {
+    var labels = [];
+    if (!labelHistory || !labelHistory.changes) {
+        return labels;
+    }
+    
+    var changes = labelHistory.changes,
+        timestamps = _.sortBy(Object.keys(changes), function (time) {
+            return parseInt(time, 10);
+        });
+    timestamps.forEach(function (time) {
+        if (parseInt(time, 10) <= timestamp) {
+            labels = _.union(_.difference(labels, changes[time].removed || []), changes[time].added || []);
+        }
+    });
+    return labels;
+}
+
+/**
+ * Replays an issue's state history (from the log) up to the given time.
+ * 
+ * @param {Array.<Object>} stateHistory See the log.json file's issueStates object for format.
+ * @param {number} timestamp The time to stop at. Changes made at exactly this time are included.
+ * @return {?string} "open" or "closed", or null if nothing was recorded by then
+ */
+function stateAt(stateHistory, timestamp) {
+    return tracker_utils.getStateFromHistory(_.filter(stateHistory || [], function (change) {
+        return change.timestamp <= timestamp;
+    }));
+}
+
+/**
+ * Rebuilds the labels of every issue on the board at the given time. Closed issues usually keep
+ * their labels, so only the issues that were open then are included (or whose state we don't know).
+ * 
+ * @param {Object} log The log for one repo
+ * @param {number} timestamp The time to look at
+ * @param {string=} label If given, only the issues that had this label are included
+ * @return {Array.<{issue: number, labels: Array.<string>}>} the open issues that had any tracked
+ *      labels (or the given label) at that time, in issue number order
+ */
+function boardAt(log, timestamp, label) {
+    var issues = _.map(log.issueLabels || {}, function (labelHistory, issueNumber) {
+        return { issue: parseInt(issueNumber, 10), labels: labelsAt(labelHistory, timestamp) };
+    });
+    return _.sortBy(_.filter(issues, function (info) {
+        if (stateAt((log.issueStates || {})[info.issue], timestamp) === "closed") {
+            return false;
+        }
+        return label ? info.labels.indexOf(label) !== -1 : info.labels.length > 0;
+    }), "issue");
+}
+
+/**
+ * Turns the time given on the command line into a timestamp. This can be a timestamp as returned
+ * by Date.getTime(), or an ISO 8601 date and time (in UTC unless it has an offset). A date on its
+ * own means the end of that day, so everything that happened on it is included.
+ * 
+ * @param {string} value The time
+ * @return {number} the timestamp
+ */
+function parseTime(value) {
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    var time = moment.utc(value, moment.ISO_8601, true);
+    if (!time.isValid()) {
+        throw new Error("Couldn't understand the time " + value + ". Use a date like 2014-06-10, a time like " +
+                        "2014-06-10T18:35:37Z, or a timestamp in milliseconds.");
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        time.endOf("day");
+    }
+    return time.valueOf();
+}
+
+/**
+ * Reads the options for the query command.
+ * 
+ * @param {Array.<string>} args The command line arguments after the command
+ * @return {{at: number, issue: ?number, label: ?string, repo: ?string, json: boolean}} the options.
+ *      `at` defaults to now.
+ */
+function parseArgs(args) {
+    var options = { at: Date.now(), issue: null, label: null, repo: null, json: false },
+        i;
+    
+    function value() {
+        if (i + 1 >= args.length) {
+            throw new Error("Missing value for " + args[i]);
+        }
+        return args[++i];
+    }
+    
+    for (i = 0; i < args.length; i++) {
+        switch (args[i]) {
+        case "--at":
+            options.at = parseTime(value());
+            break;
+        case "--issue":
+            options.issue = value();
+            if (!/^#?\d+$/.test(options.issue)) {
+                throw new Error("Couldn't understand the issue " + options.issue + ". Use an issue number like 1234 or #1234.");
+            }
+            options.issue = parseInt(options.issue.replace(/^#/, ""), 10);
+            break;
+        case "--label":
+            options.label = value();
+            break;
+        case "--repo":
+            options.repo = value();
+            break;
+        case "--json":
+            options.json = true;
+            break;
+        default:
+            throw new Error("Unknown option " + args[i] + ". Must be one of: --at, --issue, --label, --repo, --json");
+        }
+    }
+    return options;
+}
+
+/**
+ * Lays out rows of text in columns, under a header.
+ * 
+ * @param {Array.<string>} header The column headings
+ * @param {Array.<Array.<string>>} rows The rows
+ * @return {string} the table
+ */
+function formatTable(header, rows) {
+    var widths = header.map(function (heading, column) {
+        return _.max(_.pluck(rows, column).concat(heading), "length").length;
+    });
+    
+    function formatRow(row) {
+        return row.map(function (cell, column) {
+            return cell + new Array(widths[column] - cell.length + 1).join(" ");
+        }).join("  ").replace(/\s+$/, "");
+    }
+    
+    return [formatRow(header), formatRow(widths.map(function (width) {
+        return new Array(width + 1).join("-");
+    }))].concat(rows.map(formatRow)).join("\n");
+}
+
+/**
+ * Runs the query command: works out the labels one issue, or every issue on the board, had at a
+ * given time, and formats the result as a table or as JSON. A `--label` can be given by any of its
+ * `labelAliases`, since that's how the log stores it.
+ * 
+ * @param {Object} config config.json values
+ * @param {{log: Object, db: Object}} data The log and issue database
+ * @param {Array.<string>} args The command line arguments after the command (see `parseArgs()`)
+ * @return {string} the output
+ */
+function runQuery(config, data, args) {
+    var options = parseArgs(args),
+        repos = tracker_utils.getRepos(config),
+        label = options.label && tracker_utils.normalizeLabel(config, options.label),
+        results = [];
+    
+    if (options.repo) {
+        if (repos.indexOf(options.repo) === -1) {
+            throw new Error("Not tracking " + options.repo + ". Must be one of: " + repos.join(", "));
+        }
+        repos = [options.repo];
+    }
+    
+    repos.forEach(function (repo) {
+        var log = tracker_utils.getRepoData(data.log, config, repo),
+            db = tracker_utils.getRepoData(data.db, config, repo),
+            issues;
+        
+        if (options.issue !== null) {
+            if (!(log.issueLabels || {})[options.issue] && !(db.issues || {})[options.issue]) {
+                return;
+            }
+            issues = [{ issue: options.issue, labels: labelsAt(log.issueLabels[options.issue], options.at) }];
+        } else {
+            issues = boardAt(log, options.at, label);
+        }
+        issues.forEach(function (info) {
+            var issue = (db.issues || {})[info.issue];
+            results.push(_.extend({ repo: repo }, info, { title: issue ? issue.title : null }));
+        });
+    });
+    
+    var at = moment.utc(options.at).format();
+    if (options.json) {
+        return JSON.stringify({ at: at, timestamp: options.at, issues: results }, null, "  ");
+    }
+    if (!results.length) {
+        return "No matching issues at " + at;
+    }
+    
+    var header = ["Issue", "Labels", "Title"],
+        rows = results.map(function (result) {
+            return ["#" + result.issue, result.labels.join(", "), result.title || ""];
+        });
+    if (config.repos) {
+        header.unshift("Repo");
+        rows.forEach(function (row, index) {
+            row.unshift(results[index].repo);
+        });
+    }
+    return "Labels at " + at + "\n\n" + formatTable(header, rows);
+}
+
+exports.labelsAt = labelsAt;
+exports.stateAt = stateAt;
+exports.boardAt = boardAt;
+exports.parseTime = parseTime;
+exports.parseArgs = parseArgs;
+exports.formatTable = formatTable;
+exports.runQuery = runQuery;
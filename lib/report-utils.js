@@ -31,6 +31,7 @@ var Promise       = require("bluebird"),
     fs            = require("fs"),
     path          = require("path"),
     _             = require("lodash"),
+    stats         = require("./stats"),
     tracker_utils = require("./tracker-utils");
 
 // Constants for report status.
@@ -174,21 +175,24 @@ function _inState(currentTime, timeLimit, phase, latestUserComment, latestAssign
 }
 
 /**
- * Computes the prState of a pull request based on its labels.
+ * Computes the prState of a pull request based on its labels and whether anyone (an assignee or
+ * a requested reviewer) has picked it up.
  * 
  * @param {Object} issue The reformatted issue data from GitHub
- * @param {{triageCompleteLabel: {string}}} config Configuration (specifically the triageCompleteLabel that determines when a PR has been triaged)
+ * @param {{triageCompleteLabel: {string}}} config Configuration (specifically the triageCompleteLabel that determines when a PR has been triaged,
+ *      and the labelAliases for other names it might have)
  * @return {string} current prState
  */
 exports.getPRState = function (issue, config) {
-    if (issue.assignee) {
-        if (config.triageCompleteLabel && issue.labels.indexOf(config.triageCompleteLabel) > -1) {
+    var labels = tracker_utils.normalizeLabels(config, issue.labels);
+    if (tracker_utils.getReviewers(issue).length) {
+        if (config.triageCompleteLabel && labels.indexOf(config.triageCompleteLabel) > -1) {
             return PR_STATE_IN_REVIEW;
         } else {
             return PR_STATE_IN_TRIAGE;
         }
     } else {
-        if (config.triageCompleteLabel && issue.labels.indexOf(config.triageCompleteLabel) > -1) {
+        if (config.triageCompleteLabel && labels.indexOf(config.triageCompleteLabel) > -1) {
             return PR_STATE_TRIAGED;
         } else {
             return PR_STATE_NEW;
@@ -202,7 +206,7 @@ exports.getPRState = function (issue, config) {
  * @param {Object} db Database of reformatted issues
  */
 exports.getOpenPullRequests = function (db) {
-    var openPRNumbers = Object.keys(db.issues).filter(function (id) {
+    var openPRNumbers = Object.keys(db.issues || {}).filter(function (id) {
         var issue = db.issues[id];
         return issue.type === "pull" && issue.state === "open";
     });
@@ -373,36 +377,110 @@ exports.generateStatistics = function (sections) {
 var EIGHT_DAYS = 8 * 24 * 60 * 60 * 1000;
 
 /**
- * Generates the HTML report for pull requests.
+ * Works out the report sections for the open pull requests in a single repo.
  * 
- * @param {Object} config Configuration from config.json file
- * @param {Object} db Database of reformatted issues
- * @param {Object} log Data collected from the track-labels script
- * @return {string} Formatted HTML report
+ * @param {Object} config Configuration for the repo
+ * @param {Object} db Database of reformatted issues for the repo
+ * @param {Object} log Data collected from the track-labels script for the repo
+ * @param {number} currentTime Time that the report is running
+ * @return {Array.<Object>} Sections in order, as returned by `sortIntoSections`
  */
-exports.generateReport = function (config, db, log) {
-    var reportTime = new Date(),
-        timeLimit = config.timeLimit || EIGHT_DAYS;
+exports.getReportSections = function (config, db, log, currentTime) {
+    var timeLimit = config.timeLimit || EIGHT_DAYS;
     
     var pullRequests = exports.getOpenPullRequests(db);
     Object.keys(pullRequests).forEach(function (id) {
         var pr = pullRequests[id];
         pr.prState = exports.getPRState(pr, config);
+        pr.reviewers = tracker_utils.getReviewers(pr);
     });
     
     exports.mergeTriageCompleted(pullRequests, log.issueLabels, config.triageCompleteLabel);
-    exports.mergeReportState(pullRequests, reportTime.getTime(), timeLimit);
+    exports.mergeReportState(pullRequests, currentTime, timeLimit);
     if (config.oldPullRequests) {
         exports.markOldRequests(pullRequests, config.oldPullRequests);
     }
-    var sections = exports.sortIntoSections(pullRequests);
+    return exports.sortIntoSections(pullRequests);
+};
+
+/**
+ * Finds the work in progress in a single repo: every open issue that has one of the
+ * config.developmentLabels. For each one, works out the column it's in (the furthest along of its
+ * labels, if it has several), how long it's been in that column, and how long it's been since work
+ * on it started. Anything that's been in progress for longer than the 85th percentile of the cycle
+ * times of the issues finished so far is marked as aging.
+ * 
+ * @param {Object} config Configuration for the repo
+ * @param {Object} db Database of reformatted issues for the repo
+ * @param {Object} log Data collected from the track-labels script for the repo
+ * @param {number} currentTime Time that the report is running
+ * @return {{cycleTimeP85: ?number, issues: Array.<{id: number, title: string, user: string, column: string,
+ *      timeInColumn: ?number, age: ?number, aging: boolean}>}} The 85th percentile cycle time, and the
+ *      issues in progress, oldest first. Times are in milliseconds, and null if we don't know.
+ */
+exports.getAgingWorkInProgress = function (config, db, log, currentTime) {
+    var issues = stats.getIssuesWithHistory(config, db, log),
+        developmentLabels = config.developmentLabels || [],
+        columns = (config.workflow || config.labels || []).concat(developmentLabels),
+        cycleTimeP85 = stats.historicalCycleTime(config, issues, 85);
+    
+    var inProgress = issues.filter(function (issue) {
+        return issue.state === "open" &&
+            _.intersection(developmentLabels, tracker_utils.normalizeLabels(config, issue.labels || [])).length > 0;
+    }).map(function (issue) {
+        var column = _.last(_.intersection(columns, tracker_utils.normalizeLabels(config, issue.labels))),
+            entered = stats.whenEntered(config, issue, column),
+            started = stats.whenStarted(config, issue),
+            age = started !== null ? currentTime - started : null;
+        return {
+            id: issue.number,
+            title: issue.title,
+            user: issue.user,
+            column: column,
+            timeInColumn: entered !== null ? currentTime - entered : null,
+            age: age,
+            aging: cycleTimeP85 !== null && age !== null && age > cycleTimeP85
+        };
+    });
+    
+    return {
+        cycleTimeP85: cycleTimeP85,
+        issues: _.sortBy(inProgress, function (issue) {
+            return issue.age === null ? 0 : -issue.age;
+        })
+    };
+};
+
+/**
+ * Generates the HTML report for pull requests, followed by the aging work in progress (see
+ * `getAgingWorkInProgress`). When tracking several repos, the sections are grouped by repo.
+ * 
+ * @param {Object} config Configuration from config.json file
+ * @param {Object} db Database of reformatted issues
+ * @param {Object} log Data collected from the track-labels script
+ * @return {string} Formatted HTML report
+ */
+exports.generateReport = function (config, db, log) {
+    var reportTime = new Date();
+    
+    var repos = tracker_utils.getRepos(config).map(function (repo) {
+        var repoConfig = tracker_utils.getRepoConfig(config, repo),
+            repoDB = tracker_utils.getRepoData(db, config, repo),
+            repoLog = tracker_utils.getRepoData(log, config, repo);
+        return {
+            repo: repo,
+            sections: exports.getReportSections(repoConfig, repoDB, repoLog, reportTime.getTime()),
+            workInProgress: exports.getAgingWorkInProgress(repoConfig, repoDB, repoLog, reportTime.getTime())
+        };
+    });
     
     var data = {
         reportTime: reportTime,
-        sections: sections,
+        repos: repos,
         config: config,
-        stats: exports.generateStatistics(sections)
+        gitURL: tracker_utils.getGitURL(config),
+        stats: exports.generateStatistics(_.flatten(_.pluck(repos, "sections"), true))
     };
     var templateText = fs.readFileSync(path.join(path.dirname(module.filename), "templates", "pr-report.tmpl"), "utf8");
     return _.template(templateText, data);
-};
\ No newline at end of file
+};
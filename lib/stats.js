@@ -36,6 +36,22 @@ function normalizeToBeginningOfDay(timestamp) {
     return moment(timestamp).utc().startOf("day").valueOf();
 }
 
+/**
+ * Takes a timestamp and converts it to the beginning of its week (starting on Monday) in UTC.
+ * 
+ * @param {int} timestamp Could be anything Moment supports, but milliseconds is what's tested
+ * @return {int} the normalized valueOf
+ */
+function normalizeToBeginningOfWeek(timestamp) {
+    return moment(timestamp).utc().startOf("isoWeek").valueOf();
+}
+
+var DAY_LENGTH = 24 * 3600 * 1000;
+
+// How many weeks of finished issues the cycle and lead time percentiles for each week cover,
+// unless config.rollingWeeks says otherwise.
+var DEFAULT_ROLLING_WEEKS = 4;
+
 /**
  * An Accumulator gathers the statistics that will wind up in the final stats file.
  */
@@ -90,55 +106,687 @@ function getAllLabelsSeen(labelHistory) {
     return result;
 }
 
+/**
+ * Works out the columns a card skipped when it moved forward from one workflow column to a later
+ * one, and spreads the time we can't account for evenly between them. If the move wasn't in the
+ * events, so it was recorded when a run noticed it (see `reconciled`), we don't really know when the
+ * card left the earlier column either, so its time is shared out too and its exit is marked as
+ * estimated. Otherwise, the skipped columns share the time between it leaving the earlier column and
+ * arriving in the later one. If someone moved it straight across, it really did skip them, and
+ * nothing is filled in.
+ * 
+ * @param {Array.<string>} workflow The workflow columns, in order
+ * @param {Object} previous The timeline entry for the column the card was last in
+ * @param {Object} entry The timeline entry for the column it moved to
+ * @param {boolean} reconciled Whether we don't know who moved the card into the later column (or out
+ *      of the earlier one), which means the change was recorded at the log timestamp
+ * @return {Array.<Object>} Estimated timeline entries for the skipped columns, in order
+ */
+function _interpolateSkipped(workflow, previous, entry, reconciled) {
+    var skipped = workflow.slice(workflow.indexOf(previous.column) + 1, workflow.indexOf(entry.column)),
+        sharesPrevious = reconciled && previous.exited === entry.entered,
+        start = sharesPrevious ? previous.entered : previous.exited,
+        shares = skipped.length + (sharesPrevious ? 1 : 0),
+        offset = sharesPrevious ? 1 : 0;
+
+    function boundary(index) {
+        return index === shares ? entry.entered : Math.round(start + (entry.entered - start) * index / shares);
+    }
+
+    if (!skipped.length || start === entry.entered) {
+        return [];
+    }
+    if (sharesPrevious) {
+        previous.exited = boundary(1);
+        previous.exitEstimated = true;
+    }
+    return skipped.map(function (column, index) {
+        return {
+            column: column,
+            entered: boundary(index + offset),
+            exited: boundary(index + offset + 1),
+            estimated: true
+        };
+    });
+}
+
+/**
+ * Expands an issue's label history (from the log) into the time it spent in each of the
+ * `config.workflow` columns. Labels that aren't workflow columns are ignored. Because the
+ * log only sees what changed between runs, a card can appear to jump over columns; when
+ * it moves forward past one or more columns, entries for the columns it skipped are filled
+ * in, splitting the time evenly between them, and marked as `estimated`.
+ * 
+ * @param {Object} config config.json values, with `workflow` as the ordered list of columns
+ * @param {Object} labelHistory See the log.json file's issueLabels object for format.
+ * @return {Array.<{column: string, entered: number, exited: ?number, estimated: boolean=,
+ *      exitEstimated: boolean=}>} An entry for each time the card was in a column, in the
+ *      order it entered them. `exited` is null if it's still there.
+ */
+function getWorkflowTimeline(config, labelHistory) {
+    var workflow = config.workflow || [],
+        timeline = [],
+        current = {};
+    if (!labelHistory || !labelHistory.changes || !workflow.length) {
+        return timeline;
+    }
+
+    var changes = labelHistory.changes,
+        timestamps = _.sortBy(Object.keys(changes), function (timestamp) {
+            return parseInt(timestamp, 10);
+        });
+    timestamps.forEach(function (timestamp) {
+        var time = parseInt(timestamp, 10),
+            change = changes[timestamp];
+
+        // Whether we don't know who made a change. Changes from before actors were tracked don't say.
+        function unknownActor(action, column) {
+            var actors = change[action + "By"];
+            return !actors || !actors[column];
+        }
+
+        // Leave columns before entering new ones, so moving a card counts as a move.
+        _.intersection(changes[timestamp].removed || [], workflow).forEach(function (column) {
+            if (current[column]) {
+                current[column].exited = time;
+                delete current[column];
+            }
+        });
+        _.sortBy(_.intersection(changes[timestamp].added || [], workflow), function (column) {
+            return workflow.indexOf(column);
+        }).forEach(function (column) {
+            var previous = _.last(timeline),
+                entry = { column: column, entered: time, exited: null };
+            if (current[column]) {
+                return;
+            }
+            // Only fill in columns when the card has moved out of one column and forward into another.
+            if (previous && previous.exited !== null && workflow.indexOf(column) > workflow.indexOf(previous.column)) {
+                timeline.push.apply(timeline, _interpolateSkipped(workflow, previous, entry,
+                    unknownActor("added", column) && unknownActor("removed", previous.column)));
+            }
+            timeline.push(entry);
+            current[column] = entry;
+        });
+    });
+    return timeline;
+}
+
+/**
+ * Expands an issue's label history (from the log) into the time it spent under each of the
+ * tracked labels. The `config.workflow` columns come from `getWorkflowTimeline()`, so they
+ * include the estimated entries for columns the card jumped over. Tracked labels that aren't
+ * workflow columns are taken straight from the changes.
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} labelHistory See the log.json file's issueLabels object for format.
+ * @return {Array.<{column: string, entered: number, exited: ?number, estimated: boolean=,
+ *      exitEstimated: boolean=}>} An entry for each time the issue had a label, in the order
+ *      it got them (see `getWorkflowTimeline()`).
+ */
+function getLabelTimeline(config, labelHistory) {
+    var others = _.difference(config.labels || [], config.workflow || []),
+        timeline = getWorkflowTimeline(config, labelHistory),
+        current = {};
+    if (!labelHistory || !labelHistory.changes || !others.length) {
+        return timeline;
+    }
+
+    var changes = labelHistory.changes,
+        timestamps = _.sortBy(Object.keys(changes), function (timestamp) {
+            return parseInt(timestamp, 10);
+        });
+    timestamps.forEach(function (timestamp) {
+        var time = parseInt(timestamp, 10),
+            change = changes[timestamp];
+
+        // Whether we don't know who made a change. Changes from before actors were tracked don't say.
+        function unknownActor(action, column) {
+            var actors = change[action + "By"];
+            return !actors || !actors[column];
+        }
+        _.intersection(changes[timestamp].removed || [], others).forEach(function (label) {
+            if (current[label]) {
+                current[label].exited = time;
+                delete current[label];
+            }
+        });
+        _.intersection(changes[timestamp].added || [], others).forEach(function (label) {
+            if (!current[label]) {
+                current[label] = { column: label, entered: time, exited: null };
+                timeline.push(current[label]);
+            }
+        });
+    });
+    return _.sortBy(timeline, "entered");
+}
+
+/**
+ * @private
+ * Returns an issue's label timeline: the one `getIssuesWithHistory()` attached, or else one
+ * worked out from its label history.
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} issue information for one issue, with its `labelHistory` and maybe its `timeline`
+ * @return {Array.<Object>} the timeline (see `getLabelTimeline()`)
+ */
+function _getTimeline(config, issue) {
+    return issue.timeline || getLabelTimeline(config, issue.labelHistory);
+}
+
+/**
+ * Works out when an issue was finished. With a state history (from the log), that's when a
+ * pull request was merged, or when an issue was closed as completed (closing a pull request
+ * without merging it, or an issue as not planned, doesn't count). If it's been reopened since,
+ * it isn't finished. Without a state history, it's when the issue was closed, or for a pull
+ * request, when it was merged if we know.
+ * 
+ * @param {Object} issue information for one issue (from allIssues.json), with its `stateHistory`
+ * @return {?number} timestamp when the issue was finished, or null if it isn't
+ */
+function whenCompleted(issue) {
+    var last = _.last(issue.stateHistory || []);
+    if (!last) {
+        if (issue.type === "pull" && issue.mergedAt !== undefined) {
+            return issue.mergedAt;
+        }
+        return issue.closedAt || null;
+    }
+    if (issue.type === "pull") {
+        return last.event === "merged" ? last.timestamp : null;
+    }
+    return (last.event === "closed" && last.reason !== "not_planned") ? last.timestamp : null;
+}
+
+/**
+ * Returns whether an issue has appeared on the board, which is defined as having had
+ * one of the config.developmentLabels at some point. Workflow columns it's estimated
+ * to have passed through count too.
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} issue information for one issue, with its `labelHistory` or `timeline`
+ * @return {boolean} true if the issue has been on the board
+ */
+function wasOnBoard(config, issue) {
+    return _.intersection(config.developmentLabels, _.pluck(_getTimeline(config, issue), "column")).length > 0;
+}
+
+/**
+ * Returns the size label of an issue, if it has one of the config.sizeLabels.
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} issue information for one issue (from allIssues.json)
+ * @return {?string} the size label, or null if it doesn't have one
+ */
+function getSize(config, issue) {
+    var sizeLabels = _.intersection(config.sizeLabels, issue.labels);
+    if (sizeLabels.length > 1) {
+        console.warn("Issue", issue.number, "has multiple size labels", sizeLabels);
+    }
+    return sizeLabels.length ? sizeLabels[0] : null;
+}
+
+/**
+ * Works out when work on an issue started, which is the first time it had one of the
+ * config.developmentLabels. Workflow columns it's estimated to have passed through count too.
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} issue information for one issue, with its `labelHistory` or `timeline`
+ * @return {?number} timestamp when work started, or null if it never did
+ */
+function whenStarted(config, issue) {
+    var times = _.pluck(_.filter(_getTimeline(config, issue), function (entry) {
+        return config.developmentLabels.indexOf(entry.column) !== -1;
+    }), "entered");
+    return times.length ? _.min(times) : null;
+}
+
+/**
+ * Works out the cycle and lead times of an issue that has been on the board and is now
+ * finished (see `whenCompleted()`). The cycle time runs from when work started (see
+ * `whenStarted()`) and the lead time from when the issue was created.
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} issue information for one issue, with its `labelHistory`, `timeline`
+ *      and `stateHistory`
+ * @return {?{completed: number, size: ?string, cycleTime: ?number, leadTime: ?number}} the
+ *      times in milliseconds (null if we can't tell), or null if the issue isn't finished or
+ *      was never on the board
+ */
+function getIssueTimes(config, issue) {
+    var completed = whenCompleted(issue);
+    if (!completed || !wasOnBoard(config, issue)) {
+        return null;
+    }
+    var started = whenStarted(config, issue);
+    return {
+        completed: completed,
+        size: getSize(config, issue),
+        cycleTime: (started !== null && started <= completed) ? completed - started : null,
+        leadTime: (issue.createdAt && issue.createdAt <= completed) ? completed - issue.createdAt : null
+    };
+}
+
+/**
+ * Finds when an issue last entered a column (or got a label), which for a column it's still in
+ * is when it got there. If the issue jumped over the column, the estimated time counts.
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} issue information for one issue, with its `labelHistory` or `timeline`
+ * @param {string} column The column
+ * @return {?number} timestamp when the issue last entered the column, or null if it never did
+ */
+function whenEntered(config, issue, column) {
+    var entry = _.findLast(_getTimeline(config, issue), { column: column });
+    return entry ? entry.entered : null;
+}
+
+/**
+ * Finds a percentile of a set of values, using the nearest rank.
+ * 
+ * @param {Array.<number>} values The values (in any order)
+ * @param {number} p The percentile, from 0 to 100
+ * @return {?number} the percentile, or null if there are no values
+ */
+function percentile(values, p) {
+    if (!values.length) {
+        return null;
+    }
+    var sorted = _.sortBy(values);
+    return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+/**
+ * Finds a percentile of the cycle times of all the finished issues, however long ago they
+ * were finished.
+ * 
+ * @param {Object} config config.json values
+ * @param {Array.<Object>} issues The issues, with their histories (see `getIssuesWithHistory()`)
+ * @param {number} p The percentile, from 0 to 100
+ * @return {?number} the cycle time in milliseconds, or null if no issues have been finished
+ */
+function historicalCycleTime(config, issues, p) {
+    var cycleTimes = issues.map(function (issue) {
+        var times = getIssueTimes(config, issue);
+        return times && times.cycleTime;
+    });
+    return percentile(_.filter(cycleTimes, _.isNumber), p);
+}
+
+/**
+ * Summarizes the cycle or lead times of finished issues as the 50th, 85th and 95th percentiles
+ * for each week, overall and for each size. Each week's percentiles cover the issues finished
+ * in that week and the weeks before it, going back config.rollingWeeks weeks (4 by default), so
+ * they change smoothly from week to week. Weeks with nothing finished in that window are left out.
+ * 
+ * @param {Object} config config.json values
+ * @param {Array.<Object>} issueTimes The times for each finished issue (see `getIssueTimes()`)
+ * @param {string} key "cycleTime" or "leadTime"
+ * @return {Object} maps "all" and each size label to an object that maps the start of each week
+ *      to `{count, p50, p85, p95}`
+ */
+function rollingPercentiles(config, issueTimes, key) {
+    var weekLength = 7 * 24 * 3600 * 1000,
+        rollingWeeks = config.rollingWeeks || DEFAULT_ROLLING_WEEKS,
+        result = {},
+        timed = _.filter(issueTimes, function (times) {
+            return _.isNumber(times[key]);
+        });
+    if (!timed.length) {
+        return result;
+    }
+    
+    var weeks = _.map(timed, function (times) {
+            return normalizeToBeginningOfWeek(times.completed);
+        }),
+        groups = { all: timed };
+    _.forEach(_.groupBy(_.filter(timed, "size"), "size"), function (sized, size) {
+        groups[size] = sized;
+    });
+    
+    _.forEach(groups, function (group, name) {
+        var summaries = {},
+            week;
+        // Weeks are always the same length in UTC, so we can just step through them.
+        for (week = _.min(weeks); week <= _.max(weeks); week += weekLength) {
+            var windowStart = week - (rollingWeeks - 1) * weekLength,
+                values = _.pluck(_.filter(group, function (times) {
+                    var completedWeek = normalizeToBeginningOfWeek(times.completed);
+                    return completedWeek >= windowStart && completedWeek <= week;
+                }), key);
+            if (values.length) {
+                summaries[week] = {
+                    count: values.length,
+                    p50: percentile(values, 50),
+                    p85: percentile(values, 85),
+                    p95: percentile(values, 95)
+                };
+            }
+        }
+        result[name] = summaries;
+    });
+    return result;
+}
+
+/**
+ * Works out when an issue was closed (or a pull request merged or closed), whether or not it
+ * was finished.
+ * 
+ * @param {Object} issue information for one issue, with its `stateHistory`
+ * @return {?number} timestamp when the issue was last closed, or null if it's open
+ */
+function whenClosed(issue) {
+    var last = _.last(issue.stateHistory || []);
+    if (!last) {
+        return issue.closedAt || null;
+    }
+    return (last.event === "closed" || last.event === "merged") ? last.timestamp : null;
+}
+
+/**
+ * Works out how long an issue spent under each of the tracked labels, from its label timeline
+ * (see `getLabelTimeline()`), so the estimated time in workflow columns it jumped over counts.
+ * Each label is timed separately, so when an issue has several labels at once, the time counts
+ * towards all of them. Time stops when the issue is closed, or for an open issue, at the given time.
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} issue information for one issue, with its `labelHistory` or `timeline`, and `stateHistory`
+ * @param {number} until The time to count up to for open issues (normally the time of the run)
+ * @return {Object} maps each label the issue has had to the milliseconds it spent under it
+ */
+function timeInColumns(config, issue, until) {
+    var end = whenClosed(issue) || until,
+        times = {};
+    _getTimeline(config, issue).forEach(function (entry) {
+        if (entry.entered > end) {
+            return;
+        }
+        var exited = entry.exited === null ? end : Math.min(entry.exited, end);
+        times[entry.column] = (times[entry.column] || 0) + exited - entry.entered;
+    });
+    return times;
+}
+
+/**
+ * Summarizes how long issues spent under each of the tracked labels as the median (`p50`), the
+ * 85th percentile and the longest time.
+ * 
+ * @param {Object} config config.json values
+ * @param {Array.<Object>} issueTimes The time each issue spent under each label (see `timeInColumns()`)
+ * @return {Object} maps each label that any issue has had to `{count, p50, p85, max}`, in milliseconds
+ */
+function summarizeTimeInColumns(config, issueTimes) {
+    var summaries = {};
+    config.labels.forEach(function (label) {
+        var values = _.filter(_.pluck(issueTimes, label), _.isNumber);
+        if (values.length) {
+            summaries[label] = {
+                count: values.length,
+                p50: percentile(values, 50),
+                p85: percentile(values, 85),
+                max: _.max(values)
+            };
+        }
+    });
+    return summaries;
+}
+
+/**
+ * Returns the labels that are columns on the board, in the order cards move through them.
+ * That's the workflow if there is one, or else all of the tracked labels.
+ * 
+ * @param {Object} config config.json values
+ * @return {Array.<string>} the columns
+ */
+function getBoardColumns(config) {
+    return config.workflow || config.labels;
+}
+
+/**
+ * @private
+ * Returns whether an issue was open at the given time. Without a state history, an issue is
+ * open until it was closed.
+ * 
+ * @param {Object} issue information for one issue, with its `stateHistory`
+ * @param {number} timestamp The time to look at
+ * @return {boolean} true if the issue was open
+ */
+function _isOpenAt(issue, timestamp) {
+    if (!issue.stateHistory || !issue.stateHistory.length) {
+        return !issue.closedAt || timestamp < issue.closedAt;
+    }
+    var last = _.findLast(issue.stateHistory, function (change) {
+        return change.timestamp <= timestamp;
+    });
+    return !last || last.event === "opened" || last.event === "reopened";
+}
+
+/**
+ * Replays the label timelines (see `getLabelTimeline()`) to count how many open issues were in
+ * each column of the board at the end of every day, from the first time an issue was in one up
+ * to the given time. Workflow columns an issue is estimated to have passed through count too. An
+ * issue with several column labels is counted in each of them.
+ * 
+ * @param {Object} config config.json values
+ * @param {Array.<Object>} issues The issues, with their `labelHistory` or `timeline`, and `stateHistory`
+ * @param {number} until The time to stop at (normally the time of the run)
+ * @return {{columns: Array.<string>, days: Object}} the columns (see `getBoardColumns()`), and an
+ *      object that maps the start of each day to the counts for each column, in the same order
+ */
+function cumulativeFlow(config, issues, until) {
+    var accum = new Accumulator(),
+        columns = getBoardColumns(config),
+        lastDay = normalizeToBeginningOfDay(until),
+        firstDay = null,
+        days = {},
+        day;
+    
+    issues.forEach(function (issue) {
+        _getTimeline(config, issue).forEach(function (entry) {
+            if (columns.indexOf(entry.column) === -1) {
+                return;
+            }
+            var entryDay = normalizeToBeginningOfDay(entry.entered);
+            firstDay = firstDay === null ? entryDay : Math.min(firstDay, entryDay);
+            // Count the days the issue was still in the column at the end of.
+            for (; entryDay <= lastDay && (entry.exited === null || entryDay + DAY_LENGTH - 1 < entry.exited); entryDay += DAY_LENGTH) {
+                if (_isOpenAt(issue, entryDay + DAY_LENGTH - 1)) {
+                    accum.add(entry.column, entryDay, 1);
+                }
+            }
+        });
+    });
+    
+    if (firstDay !== null) {
+        for (day = firstDay; day <= lastDay; day += DAY_LENGTH) {
+            days[day] = columns.map(function (column) {
+                return (accum.data[column] && accum.data[column][day]) || 0;
+            });
+        }
+    }
+    return { columns: columns, days: days };
+}
+
+/**
+ * @private
+ * Quotes a value for a CSV file if it needs it.
+ * 
+ * @param {*} value The value
+ * @return {string} the field
+ */
+function _csvField(value) {
+    value = String(value);
+    return (/[",\r\n]/).test(value) ? "\"" + value.replace(/"/g, "\"\"") + "\"" : value;
+}
+
+/**
+ * Formats cumulative flow data (see `cumulativeFlow()`) as CSV, with a row for each day and a
+ * column for each column of the board.
+ * 
+ * @param {Object} flows Maps each repo to its cumulative flow data. The repos must all have the
+ *      same columns.
+ * @param {boolean} showRepo Whether to start each row with the repo
+ * @return {string} the CSV
+ */
+function formatCumulativeFlowCSV(flows, showRepo) {
+    var repos = Object.keys(flows),
+        columns = repos.length ? flows[repos[0]].columns : [],
+        lines = [(showRepo ? ["Repo", "Date"] : ["Date"]).concat(columns)];
+    
+    repos.forEach(function (repo) {
+        _.sortBy(Object.keys(flows[repo].days), function (day) {
+            return parseInt(day, 10);
+        }).forEach(function (day) {
+            var date = moment(parseInt(day, 10)).utc().format("YYYY-MM-DD");
+            lines.push((showRepo ? [repo, date] : [date]).concat(flows[repo].days[day]));
+        });
+    });
+    return lines.map(function (fields) {
+        return fields.map(_csvField).join(",");
+    }).join("\n") + "\n";
+}
+
 /**
  * Compute throughput statistics, grouped by size. It looks for all issues that have
- * appeared on the board (defined as having had one of the config.developmentLabels
- * at some point) and are now closed. The date the issue was closed is the date it is
- * done and counted for throughput.
+ * appeared on the board and are now finished (see `whenCompleted()`). The date the
+ * issue was finished is the date it is counted for throughput.
  * 
  * @param {Object} config config.json values
  * @param {Object} issue information for one issue (from allIssues.json)
  * @param {Accumulator} accum The Accumulator for collection statistics.
  */
 function throughput(config, issue, accum) {
-    var labels = getAllLabelsSeen(issue.labelHistory);
-    if (_.intersection(config.developmentLabels, labels).length > 0 && issue.closedAt) {
-        var sizeLabels = _.intersection(config.sizeLabels, issue.labels);
-        if (sizeLabels.length > 0) {
-            if (sizeLabels.length > 1) {
-                console.warn("Issue", issue.number, "has multiple size labels", sizeLabels);
-            }
-            accum.add("throughput" + sizeLabels[0], issue.closedAt, 1);
-        } else {
-            accum.add("throughput", issue.closedAt, 1);
-        }
+    var completed = whenCompleted(issue);
+    if (wasOnBoard(config, issue) && completed) {
+        var size = getSize(config, issue);
+        accum.add("throughput" + (size || ""), completed, 1);
     }
 }
 
 /**
- * Computes all of the statistics.
+ * Counts the times issues that have appeared on the board were reopened, on the days
+ * they were reopened.
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} issue information for one issue (from allIssues.json), with its `stateHistory`
+ * @param {Accumulator} accum The Accumulator for collection statistics.
+ */
+function reopens(config, issue, accum) {
+    if (!wasOnBoard(config, issue)) {
+        return;
+    }
+    _.filter(issue.stateHistory || [], { event: "reopened" }).forEach(function (change) {
+        accum.add("reopened", change.timestamp, 1);
+    });
+}
+
+/**
+ * Returns copies of all the issues, with their histories from the log attached as `labelHistory`,
+ * `timeline` and `stateHistory`.
  * 
  * @param {Object} config config.json values
  * @param {Object} db data from allIssues.json
  * @param {Object} log data from storage/log.json
- * @return {Object} accumulated data
+ * @return {Array.<Object>} the issues, in the order of their IDs
  */
-function computeStats(config, db, log) {
-    var accum = new Accumulator(),
-        issues = db.issues,
+function getIssuesWithHistory(config, db, log) {
+    var issues = db.issues || {},
         issueIDs = Object.keys(issues);
     issueIDs.sort();
-    issueIDs.forEach(function (id) {
+    return issueIDs.map(function (id) {
         var issue = _.clone(issues[id]);
-        issue.labelHistory = log.issueLabels[id];
+        issue.labelHistory = log.issueLabels && log.issueLabels[id];
+        issue.timeline = getLabelTimeline(config, issue.labelHistory);
+        issue.stateHistory = log.issueStates && log.issueStates[id];
+        return issue;
+    });
+}
+
+/**
+ * Computes all of the statistics.
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} db data from allIssues.json
+ * @param {Object} log data from storage/log.json
+ * @return {Object} accumulated data
+ */
+function computeStats(config, db, log) {
+    var accum = new Accumulator();
+    getIssuesWithHistory(config, db, log).forEach(function (issue) {
         throughput(config, issue, accum);
+        reopens(config, issue, accum);
     });
     return accum.data;
 }
 
+/**
+ * Generates the stats for a repo in the format they're saved in stats.json (see the README).
+ * 
+ * @param {Object} config config.json values
+ * @param {Object} db data from allIssues.json
+ * @param {Object} log data from storage/log.json
+ * @param {number} currentTime Time that the stats are being generated. Open issues are counted up to then.
+ * @return {{timestamp: number, generated: number, daily: Object, issues: Object, cycleTime: Object,
+ *      leadTime: Object, cumulativeFlow: Object, timeInColumn: Object}} the stats
+ */
+function generateStats(config, db, log, currentTime) {
+    var issues = getIssuesWithHistory(config, db, log),
+        issueTimes = {},
+        columnTimes = {},
+        closedColumnTimes = [];
+    issues.forEach(function (issue) {
+        var times = getIssueTimes(config, issue),
+            inColumns = timeInColumns(config, issue, currentTime);
+        if (times) {
+            issueTimes[issue.number] = times;
+        }
+        if (!_.isEmpty(inColumns)) {
+            columnTimes[issue.number] = inColumns;
+            // Open issues aren't done with their columns yet, so they'd skew the distributions.
+            if (whenClosed(issue)) {
+                closedColumnTimes.push(inColumns);
+            }
+        }
+    });
+    return {
+        timestamp: log.timestamp,
+        generated: currentTime,
+        daily: computeStats(config, db, log),
+        issues: issueTimes,
+        cycleTime: rollingPercentiles(config, _.values(issueTimes), "cycleTime"),
+        leadTime: rollingPercentiles(config, _.values(issueTimes), "leadTime"),
+        cumulativeFlow: cumulativeFlow(config, issues, currentTime),
+        timeInColumn: {
+            issues: columnTimes,
+            columns: summarizeTimeInColumns(config, closedColumnTimes)
+        }
+    };
+}
+
 exports.Accumulator = Accumulator;
 exports.normalizeToBeginningOfDay = normalizeToBeginningOfDay;
+exports.normalizeToBeginningOfWeek = normalizeToBeginningOfWeek;
 exports.getAllLabelsSeen = getAllLabelsSeen;
+exports.getWorkflowTimeline = getWorkflowTimeline;
+exports.getLabelTimeline = getLabelTimeline;
+exports.whenCompleted = whenCompleted;
+exports.wasOnBoard = wasOnBoard;
+exports.getSize = getSize;
+exports.whenStarted = whenStarted;
+exports.getIssueTimes = getIssueTimes;
+exports.whenEntered = whenEntered;
+exports.percentile = percentile;
+exports.historicalCycleTime = historicalCycleTime;
+exports.rollingPercentiles = rollingPercentiles;
+exports.whenClosed = whenClosed;
+exports.timeInColumns = timeInColumns;
+exports.summarizeTimeInColumns = summarizeTimeInColumns;
+exports.getBoardColumns = getBoardColumns;
+exports.cumulativeFlow = cumulativeFlow;
+exports.formatCumulativeFlowCSV = formatCumulativeFlowCSV;
 exports.throughput = throughput;
+exports.reopens = reopens;
 
-exports.computeStats = computeStats;
\ No newline at end of file
+exports.getIssuesWithHistory = getIssuesWithHistory;
+exports.computeStats = computeStats;
+exports.generateStats = generateStats;
\ No newline at end of file
@@ -0,0 +1,354 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+"use strict";
+
+var Promise = require("bluebird"),
+    crypto = require("crypto"),
+    fs = Promise.promisifyAll(require("fs")),
+    path = require("path"),
+    url = require("url"),
+    moment = require("moment"),
+    request = Promise.promisify(require("request")),
+    child_process = Promise.promisifyAll(require("child_process")),
+    tracker_utils = require("./tracker-utils");
+
+/*
+ * Storage adapters keep the log and the report somewhere the team can get at them. Each adapter has:
+ *   dir - the local directory that the files to store are read from and written to
+ *   pull(filenames) - brings the local copies of the given files up to date
+ *   push(filenames) - publishes the given files from the local directory
+ * Both methods return promises. The filenames are relative to `dir`.
+ */
+
+/** 
+ * @private
+ * Execute a shell command with the given options, logging it to the console.
+ * @param {string} command The command to execute.
+ * @param {Object} options The command options, as passed to `child_process.exec()`.
+ * @return {Promise} A promise that's resolved when the command completes.
+ */
+function _logExec(command, options) {
+    console.log("Running: " + command + " (in " + (options ? options.cwd : "cwd") + ")");
+    return child_process.execAsync(command, options);
+}
+
+/**
+ * @private
+ * Creates the given directory and any missing parent directories.
+ * @param {string} dir The directory to create.
+ */
+function _makeDirs(dir) {
+    if (!fs.existsSync(dir)) {
+        _makeDirs(path.dirname(dir));
+        fs.mkdirSync(dir);
+    }
+}
+
+/**
+ * Stores the files in a local clone of a git repo, which is pushed after each run.
+ * @constructor
+ * @param {Object} config The config object. Expects `storage` to be the name of the repo, in
+ *      `user/repo` format, and optionally `git_url` (see `tracker_utils.getGitURL()`).
+ */
+function GitStorage(config) {
+    if (!config.storage) {
+        throw new Error("Must set storage to the name of the storage repo in config file");
+    }
+    this.config = config;
+    this.dir = "storage";
+}
+
+/**
+ * Pulls the latest files from the storage repo, creating the local clone if it doesn't exist yet.
+ * @return {Promise} A promise that's resolved when the local repo has been updated.
+ */
+GitStorage.prototype.pull = function () {
+    // Can't use the promisified version of exists() because it doesn't actually
+    // take an errback (it passes the value as the first parameter).
+    if (fs.existsSync(this.dir)) {
+        return _logExec("git pull", { cwd: this.dir });
+    } else {
+        return _logExec("git clone " + tracker_utils.getGitURL(this.config) + "/" + this.config.storage + ".git " + this.dir);
+    }
+};
+
+/**
+ * Commits any changes and pushes them to the storage repo. If nothing has changed, there's nothing
+ * to commit, so nothing is pushed.
+ * @return {Promise} A promise that's resolved when the changes have been pushed, or rejected if the
+ *      commit or push failed.
+ */
+GitStorage.prototype.push = function () {
+    var options = { cwd: this.dir };
+    return _logExec("git add .", options)
+        .then(function () {
+            return _logExec("git status --porcelain", options);
+        })
+        .spread(function (stdout) {
+            if (!stdout.trim()) {
+                console.log("No changes to store");
+                return;
+            }
+            return _logExec("git commit -m 'Update log'", options)
+                .then(function () {
+                    return _logExec("git push origin HEAD", options);
+                });
+        });
+};
+
+/**
+ * Keeps the files in a plain local directory, e.g. one that's served by a web server or synced by
+ * some other tool. There's nothing to pull or push.
+ * @constructor
+ * @param {Object} config The config object. Expects `storage` to be the path of the directory.
+ */
+function LocalStorage(config) {
+    if (!config.storage) {
+        throw new Error("Must set storage to the path of the storage directory in config file");
+    }
+    this.dir = config.storage;
+}
+
+/**
+ * Creates the storage directory if it doesn't exist yet.
+ * @return {Promise} A promise that's resolved when the directory exists.
+ */
+LocalStorage.prototype.pull = function () {
+    var dir = this.dir;
+    return Promise.try(function () {
+        _makeDirs(dir);
+    });
+};
+
+/**
+ * The files are already where they belong, so this does nothing.
+ * @return {Promise} A resolved promise.
+ */
+LocalStorage.prototype.push = function () {
+    return Promise.resolve();
+};
+
+// Content types for the files we store, so the report can be viewed straight from the bucket.
+var CONTENT_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".json": "application/json",
+    ".csv": "text/csv; charset=utf-8"
+};
+
+/**
+ * @private
+ * Returns the SHA-256 hash of the given data, in hex.
+ * @param {string|Buffer} data The data to hash.
+ * @return {string} The hash.
+ */
+function _sha256(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * @private
+ * Returns the HMAC-SHA256 of the given data.
+ * @param {string|Buffer} key The key.
+ * @param {string} data The data to sign.
+ * @return {Buffer} The HMAC.
+ */
+function _hmac(key, data) {
+    return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/**
+ * @private
+ * Encodes an object key for the URL path the way S3 expects when it checks the signature: each part
+ * between the slashes is percent-encoded, including the characters `encodeURIComponent()` leaves alone.
+ * @param {string} key The object key.
+ * @return {string} The encoded key.
+ */
+function _encodeKey(key) {
+    return key.split("/").map(function (part) {
+        return encodeURIComponent(part).replace(/[!'()*]/g, function (c) {
+            return "%" + c.charCodeAt(0).toString(16).toUpperCase();
+        });
+    }).join("/");
+}
+
+/**
+ * Stores the files as objects in an S3-compatible bucket (e.g. Amazon S3 or MinIO). The files are
+ * downloaded to a local "storage" directory before each run, and uploaded again afterwards. Requests
+ * are signed with AWS Signature Version 4, which Amazon S3 requires in every region.
+ * @constructor
+ * @param {Object} config The config object. Expects `s3` to be an object with `bucket`, `access_key`
+ *      and `secret_key`, and optionally `endpoint` (defaults to `https://s3.amazonaws.com`), `region`
+ *      (the bucket's region, defaults to `us-east-1`) and `prefix`, which is prepended to each object's key.
+ */
+function S3Storage(config) {
+    var s3 = config.s3 || {};
+    if (!s3.bucket || !s3.access_key || !s3.secret_key) {
+        throw new Error("Must set s3.bucket, s3.access_key and s3.secret_key in config file");
+    }
+    this.s3 = s3;
+    this.dir = "storage";
+}
+
+/**
+ * @private
+ * Returns the request options for the object that holds the given file. Uses path-style URLs,
+ * which work with MinIO as well as S3.
+ * @param {string} filename The name of the file, relative to the storage directory.
+ * @return {Object} The options to pass to `request()`.
+ */
+S3Storage.prototype._requestOptions = function (filename) {
+    var endpoint = (this.s3.endpoint || "https://s3.amazonaws.com").replace(/\/+$/, "");
+    return {
+        url: endpoint + "/" + _encodeKey(this.s3.bucket + "/" + (this.s3.prefix || "") + filename),
+        // Keep downloads as Buffers, so binary files like the SQLite database aren't decoded as UTF-8.
+        encoding: null
+    };
+};
+
+/**
+ * @private
+ * Signs a request with AWS Signature Version 4, adding the `Authorization` header and the headers
+ * it covers. Call this once the method, body and any other headers are set.
+ * @param {Object} options The request options, from `_requestOptions()`.
+ * @param {number=} now The time to sign the request at. Defaults to now.
+ * @return {Object} The options.
+ */
+S3Storage.prototype._sign = function (options, now) {
+    var region = this.s3.region || "us-east-1",
+        amzDate = moment.utc(now || Date.now()).format("YYYYMMDD[T]HHmmss[Z]"),
+        scope = [amzDate.substr(0, 8), region, "s3", "aws4_request"].join("/"),
+        payloadHash = _sha256(options.body || ""),
+        headers = {},
+        names,
+        canonicalRequest,
+        stringToSign,
+        signingKey;
+
+    Object.keys(options.headers || {}).forEach(function (name) {
+        headers[name.toLowerCase()] = String(options.headers[name]).trim();
+    });
+    headers.host = url.parse(options.url).host;
+    headers["x-amz-content-sha256"] = payloadHash;
+    headers["x-amz-date"] = amzDate;
+
+    names = Object.keys(headers).sort();
+    canonicalRequest = [
+        options.method || "GET",
+        url.parse(options.url).pathname,
+        "",
+        names.map(function (name) {
+            return name + ":" + headers[name] + "\n";
+        }).join(""),
+        names.join(";"),
+        payloadHash
+    ].join("\n");
+    stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, _sha256(canonicalRequest)].join("\n");
+    signingKey = _hmac(_hmac(_hmac(_hmac("AWS4" + this.s3.secret_key, amzDate.substr(0, 8)), region), "s3"), "aws4_request");
+
+    headers.authorization = "AWS4-HMAC-SHA256 Credential=" + this.s3.access_key + "/" + scope +
+        ", SignedHeaders=" + names.join(";") +
+        ", Signature=" + crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+    options.headers = headers;
+    return options;
+};
+
+/**
+ * Downloads the given files from the bucket. Files that aren't in the bucket yet are skipped.
+ * @param {Array.<string>} filenames The files to download.
+ * @return {Promise} A promise that's resolved when the files have been downloaded.
+ */
+S3Storage.prototype.pull = function (filenames) {
+    var self = this;
+    _makeDirs(self.dir);
+    return Promise.all(filenames.map(function (filename) {
+        var options = self._sign(self._requestOptions(filename));
+        console.log("Downloading " + options.url);
+        return request(options).spread(function (response, body) {
+            if (response.statusCode === 404) {
+                return;
+            }
+            if (response.statusCode !== 200) {
+                throw new Error("Couldn't download " + options.url + ": got status code " + response.statusCode);
+            }
+            return tracker_utils.writeFileAtomic(path.join(self.dir, filename), body);
+        });
+    }));
+};
+
+/**
+ * Uploads the given files to the bucket. Files that don't exist locally are skipped.
+ * @param {Array.<string>} filenames The files to upload.
+ * @return {Promise} A promise that's resolved when the files have been uploaded, or rejected if
+ *      any upload failed.
+ */
+S3Storage.prototype.push = function (filenames) {
+    var self = this;
+    return Promise.all(filenames.map(function (filename) {
+        var filePath = path.join(self.dir, filename);
+        if (!fs.existsSync(filePath)) {
+            return;
+        }
+        return fs.readFileAsync(filePath).then(function (contents) {
+            var options = self._requestOptions(filename);
+            options.method = "PUT";
+            options.body = contents;
+            options.headers = {
+                "Content-Type": CONTENT_TYPES[path.extname(filename)] || "application/octet-stream"
+            };
+            self._sign(options);
+            console.log("Uploading " + options.url);
+            return request(options).spread(function (response) {
+                if (response.statusCode !== 200) {
+                    throw new Error("Couldn't upload " + options.url + ": got status code " + response.statusCode);
+                }
+            });
+        });
+    }));
+};
+
+var adapters = {
+    git: GitStorage,
+    local: LocalStorage,
+    s3: S3Storage
+};
+
+/**
+ * Creates the storage adapter specified in the config.
+ * @param {Object} config The config object. `storage_type` picks the adapter: "git" (the default),
+ *      "local" or "s3".
+ * @return {GitStorage|LocalStorage|S3Storage} The storage adapter.
+ */
+function createStorage(config) {
+    var type = config.storage_type || "git",
+        Adapter = adapters[type];
+    if (!Adapter) {
+        throw new Error("Unknown storage_type: " + type + ". Must be one of: " + Object.keys(adapters).join(", "));
+    }
+    return new Adapter(config);
+}
+
+exports.GitStorage = GitStorage;
+exports.LocalStorage = LocalStorage;
+exports.S3Storage = S3Storage;
+exports.createStorage = createStorage;
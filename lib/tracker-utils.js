@@ -26,104 +26,454 @@
 var Promise = require("bluebird"),
     fs = Promise.promisifyAll(require("fs")),
     request = Promise.promisify(require("request")),
-    child_process = Promise.promisifyAll(require("child_process")),
     parse_link_header = require("parse-link-header"),
-    _ = require("lodash");
+    _ = require("lodash"),
+    stats = require("./stats");
 
-/** 
+// Default locations of the GitHub API and of the host we clone repos from and link to.
+var DEFAULT_API_URL = "https://api.github.com",
+    DEFAULT_GIT_URL = "https://github.com";
+
+/**
+ * Returns the base URL of the GitHub API to use, without a trailing slash. This can be set to point
+ * to a GitHub Enterprise instance (e.g. `https://github.example.com/api/v3`) or a local stand-in.
+ * @param {Object} config The config object. Uses `api_url` if it's set.
+ * @return {string} The API base URL.
+ */
+exports.getApiURL = function (config) {
+    return (config.api_url || DEFAULT_API_URL).replace(/\/+$/, "");
+};
+
+/**
+ * Returns the base URL of the git host to use for cloning the storage repo and for linking to
+ * issues and pull requests, without a trailing slash.
+ * @param {Object} config The config object. Uses `git_url` if it's set.
+ * @return {string} The git host base URL.
+ */
+exports.getGitURL = function (config) {
+    return (config.git_url || DEFAULT_GIT_URL).replace(/\/+$/, "");
+};
+
+/**
+ * Returns the list of repos to track. This is `config.repos` if it's set, otherwise just `config.repo`.
+ * @param {Object} config The config object.
+ * @return {Array.<string>} The repos, in `user/repo` format.
+ */
+exports.getRepos = function (config) {
+    if (config.repos) {
+        return config.repos;
+    }
+    return config.repo ? [config.repo] : [];
+};
+
+/**
+ * Returns a copy of the config for working on a single repo, so the functions that deal with one
+ * repo at a time can just look at `repo`.
+ * @param {Object} config The config object.
+ * @param {string} repo The repo, in `user/repo` format.
+ * @return {Object} The config for that repo.
+ */
+exports.getRepoConfig = function (config, repo) {
+    return _.extend({}, config, { repo: repo });
+};
+
+/**
+ * Returns the part of the log or issue database that holds the data for the given repo. When
+ * tracking a single repo (`config.repo`), that's the whole object. When tracking several repos
+ * (`config.repos`), each repo's data is kept separately under `repos[repo]`, in the same format
+ * as for a single repo.
+ * @param {Object} data The log or issue database.
+ * @param {Object} config The config object.
+ * @param {string} repo The repo, in `user/repo` format.
+ * @return {Object} The data for that repo. This is created if it doesn't exist yet.
+ */
+exports.getRepoData = function (data, config, repo) {
+    if (!config.repos) {
+        return data;
+    }
+    data.repos = data.repos || {};
+    data.repos[repo] = data.repos[repo] || {};
+    return data.repos[repo];
+};
+
+/**
+ * Replaces the part of the log or issue database that holds the data for the given repo.
+ * @param {Object} data The log or issue database.
+ * @param {Object} config The config object.
+ * @param {string} repo The repo, in `user/repo` format.
+ * @param {Object} repoData The new data for that repo.
+ * @return {Object} The updated log or issue database (which is `repoData` itself when tracking a single repo).
+ */
+exports.setRepoData = function (data, config, repo, repoData) {
+    if (!config.repos) {
+        return repoData;
+    }
+    data.repos = data.repos || {};
+    data.repos[repo] = repoData;
+    return data;
+};
+
+/**
+ * Returns the name a label is tracked under. `config.labelAliases` maps other names for a label
+ * (e.g. what it was called before it was renamed on GitHub) to the name in `config.labels`.
+ * @param {Object} config The config object.
+ * @param {string} label The label's name on GitHub.
+ * @return {string} The label's canonical name.
+ */
+exports.normalizeLabel = function (config, label) {
+    var aliases = config.labelAliases || {};
+    return aliases.hasOwnProperty(label) ? aliases[label] : label;
+};
+
+/**
+ * Returns the names a set of labels are tracked under (see `normalizeLabel()`), without duplicates.
+ * @param {Object} config The config object.
+ * @param {Array.<string>} labels The labels' names on GitHub.
+ * @return {Array.<string>} The labels' canonical names.
+ */
+exports.normalizeLabels = function (config, labels) {
+    return _.uniq((labels || []).map(function (label) {
+        return exports.normalizeLabel(config, label);
+    }));
+};
+
+/**
+ * Checks that the config has everything the tracker needs, and that the settings that refer to
+ * labels agree with each other.
+ * @param {Object} config The config object.
+ * @throws {Error} If there's something wrong with the config.
+ */
+exports.validateConfig = function (config) {
+    if (!(config.repo || config.repos) || !config.labels || !config.api_key) {
+        throw new Error("Must set repo (or repos), labels, and api_key in config file");
+    }
+    if (!Array.isArray(config.developmentLabels) || !config.developmentLabels.length) {
+        throw new Error("Must set developmentLabels in config file to the labels that mean an issue is on the board");
+    }
+    var untrackedDevelopmentLabels = _.difference(config.developmentLabels, config.labels);
+    if (untrackedDevelopmentLabels.length) {
+        throw new Error("Every label in developmentLabels must also be in labels, but these aren't: " +
+                        untrackedDevelopmentLabels.join(", "));
+    }
+    var untrackedColumns = _.difference(config.workflow || [], config.labels);
+    if (untrackedColumns.length) {
+        throw new Error("Every column in workflow must also be in labels, but these aren't: " + untrackedColumns.join(", "));
+    }
+    // Git would keep a whole new copy of the database file on every run.
+    if (config.database === "sqlite" && (config.storage_type || "git") === "git") {
+        throw new Error("The SQLite database can't be kept in git storage. Set storage_type to local or s3 to use it.");
+    }
+    _.forEach(config.labelAliases || {}, function (label, alias) {
+        if (config.labels.indexOf(alias) !== -1) {
+            throw new Error("labelAliases maps " + alias + " to " + label + ", but " + alias + " is also in labels");
+        }
+        if (config.labelAliases.hasOwnProperty(label)) {
+            throw new Error("labelAliases maps " + alias + " to " + label + ", which is itself an alias");
+        }
+    });
+};
+
+/**
  * @private
- * Execute a shell command with the given options, logging it to the console.
- * @param {string} command The command to execute.
- * @param {Object} options The command options, as passed to `child_process.exec()`.
- * @return {Promise} A promise that's resolved when the command completes.
- */
-function _logExec(command, options) {
-    console.log("Running: " + command + " (in " + (options ? options.cwd : "cwd") + ")");
-    return child_process.execAsync(command, options);
+ * Returns the error code (e.g. "ENOENT") for an error from one of the promisified `fs` functions,
+ * which wrap the original error.
+ * @param {Error} err The error.
+ * @return {string|undefined} The error code, if there is one.
+ */
+function _errorCode(err) {
+    return err.code || (err.cause && err.cause.code);
 }
 
 /**
- * Reads the given JSON file and resolve with the parsed content. If the file doesn't exist
- * or there's some other error reading it, returns an empty object.
+ * Reads the given JSON file and resolve with the parsed content. If the file doesn't exist,
+ * returns an empty object. Any other error--in particular, a file that can't be parsed--rejects
+ * the promise, so we never carry on with an empty log in place of a corrupted one.
  * @param {string} filename The file to read, either relative to the current directory or a full path.
  * @return {Promise} A promise that's resolved with the parsed JSON content.
  */
 exports.readJSON = function (filename) {
-    return fs.readFileAsync(filename)
-        .catch(function (err) {
+    return fs.readFileAsync(filename, "utf8")
+        .then(function (text) {
+            try {
+                return JSON.parse(text);
+            } catch (err) {
+                throw new Error("Couldn't parse " + filename + " (" + err.message + "). Fix or restore it before running again.");
+            }
+        }, function (err) {
             // If the file doesn't exist, we just treat it as an empty object.
-            return "{}";
+            if (_errorCode(err) === "ENOENT") {
+                return {};
+            }
+            throw err;
+        });
+};
+
+/**
+ * Writes the given file atomically, by writing to a temporary file next to it and then renaming
+ * that over the original. So if we crash partway through, the file has either its old or its new
+ * content, never part of the new content.
+ * @param {string} filename The file to write, either relative to the current directory or a full path.
+ * @param {string} contents The contents to write.
+ * @return {Promise} A promise that's resolved when the file has been written.
+ */
+exports.writeFileAtomic = function (filename, contents) {
+    var tempFilename = filename + ".tmp-" + process.pid;
+    return fs.writeFileAsync(tempFilename, contents)
+        .then(function () {
+            return fs.renameAsync(tempFilename, filename);
         })
-        .then(JSON.parse);
+        .catch(function (err) {
+            return fs.unlinkAsync(tempFilename)
+                .catch(function () {
+                    // The temp file might not have been created.
+                })
+                .then(function () {
+                    throw err;
+                });
+        });
 };
 
 /**
- * Pulls the previous log from the storage repo specified in the config. Creates a local clone
- * of the repo in "storage" if it doesn't already exist.
- * @param {Object} config The config info. This function expects the `storage` parameter to be
- *      the name of the GitHub repo used for storing the label tracking info, in `user/repo` format.
- * @return {Promise} A promise that's resolved when the local repo has been updated.
+ * Copies the given file to a backup, replacing any previous backup. Does nothing if the file doesn't exist.
+ * @param {string} filename The file to back up.
+ * @param {string} backupFilename Where to put the backup.
+ * @return {Promise} A promise that's resolved when the backup has been written.
  */
-exports.updateFiles = function (config) {
-    // Can't use the promisified version of exists() because it doesn't actually
-    // take an errback (it passes the value as the first parameter).
-    if (fs.existsSync("storage")) {
-        return _logExec("git pull", { cwd: "storage" });
-    } else {
-        return _logExec("git clone https://github.com/" + config.storage + ".git storage");
+exports.backupFile = function (filename, backupFilename) {
+    return fs.readFileAsync(filename)
+        .then(function (contents) {
+            return exports.writeFileAtomic(backupFilename, contents);
+        }, function (err) {
+            if (_errorCode(err) !== "ENOENT") {
+                throw err;
+            }
+        });
+};
+
+// How many times to retry a request that failed because of a server error, and how long to wait
+// before the first retry (the wait doubles with each retry).
+var MAX_RETRIES = 5,
+    RETRY_DELAY = 1000;
+
+/**
+ * @private
+ * Waits for the given amount of time. (Broken out so the tests can avoid actually waiting.)
+ * @param {number} ms How long to wait, in milliseconds.
+ * @return {Promise} A promise that's resolved after the wait.
+ */
+var delay = function (ms) {
+    return Promise.delay(ms);
+};
+
+/**
+ * @private
+ * Requests a single page from GitHub. If we've run out of rate limit, waits until the rate limit
+ * resets and tries again. Server errors (and failures to connect) are retried with exponential backoff.
+ * @param {Object} options The request options.
+ * @param {number} retries How many times this request has already been retried.
+ * @return {Promise} A promise that's resolved with the response and body (which might be a
+ *      304 Not Modified response to a conditional request), or rejected if the request failed
+ *      for some other reason or ran out of retries.
+ */
+function _requestWithRetries(options, retries) {
+    function retry(err) {
+        if (retries >= MAX_RETRIES) {
+            throw err;
+        }
+        var wait = RETRY_DELAY * Math.pow(2, retries);
+        console.log(err.message + ", retrying in " + wait + "ms");
+        return delay(wait).then(function () {
+            return _requestWithRetries(options, retries + 1);
+        });
     }
+
+    return request(options).then(function (result) {
+        var response = result[0],
+            headers = response.headers || {},
+            wait;
+
+        if (response.statusCode === 403 || response.statusCode === 429) {
+            if (headers["retry-after"]) {
+                wait = parseInt(headers["retry-after"], 10) * 1000;
+            } else if (headers["x-ratelimit-remaining"] === "0" && headers["x-ratelimit-reset"]) {
+                // The reset time is in seconds. Give it an extra second in case our clock is behind.
+                wait = Math.max(parseInt(headers["x-ratelimit-reset"], 10) * 1000 - Date.now(), 0) + 1000;
+            }
+            if (wait !== undefined) {
+                console.log("Rate limit exceeded, waiting " + Math.ceil(wait / 1000) + " seconds");
+                return delay(wait).then(function () {
+                    return _requestWithRetries(options, retries);
+                });
+            }
+        }
+        if (response.statusCode >= 500) {
+            return retry(new Error("Got bad status code: " + response.statusCode));
+        }
+        if (response.statusCode !== 200 && response.statusCode !== 304) {
+            throw new Error("Got bad status code: " + response.statusCode);
+        }
+        return result;
+    }, retry);
+}
+
+/**
+ * @private
+ * Returns the key of a page in the ETag cache: the URL with its query, in a fixed order, so that
+ * requests for the same location with different options (like `since`) don't share an ETag. The API
+ * key is left out so it isn't stored along with the cache.
+ * @param {Object} options The request options.
+ * @return {string} The key.
+ */
+function _etagKey(options) {
+    var query = _.extend({}, options.qs, { page: options.qs.page || 1 });
+    delete query.access_token;
+    return options.url + "?" + Object.keys(query).sort().filter(function (name) {
+        return query[name] !== undefined;
+    }).map(function (name) {
+        return name + "=" + encodeURIComponent(query[name]);
+    }).join("&");
+}
+
+/**
+ * Removes the entries in an ETag cache that haven't been checked since the given time, e.g. the
+ * reviews of pull requests that have been closed, or pages that were requested with an older `since`.
+ * Call this after a run has fetched everything, with the time it started.
+ * @param {Object} etags The ETag cache (see `requestGitHubData()`). This is changed in place.
+ * @param {number} since The time the run started, in Date.getTime() format.
+ * @return {Object} The ETag cache.
+ */
+exports.pruneEtags = function (etags, since) {
+    Object.keys(etags).forEach(function (key) {
+        if (!(etags[key].checked >= since)) {
+            delete etags[key];
+        }
+    });
+    return etags;
 };
 
 /**
  * Generic function to handle requesting data from GitHub and paging through the data.
+ * 
+ * While it's paging, it keeps a checkpoint in `data.checkpoints[location]` with the `since` time
+ * it was asked for, the last `page` it finished and the latest `timestamp` it saw so far. The
+ * data's own `timestamp` isn't updated until all the pages have been fetched. If the data object
+ * is saved after a failure, a later call with the same `since` time resumes after the last page
+ * that was finished instead of starting over.
+ * 
+ * If an `etags` cache is passed in, the ETag and Last-Modified headers of each page are stored in it,
+ * keyed by the URL with its query (see `_etagKey()`), and sent back as a conditional request the next
+ * time that page is fetched. GitHub returns a 304 (which doesn't count against the rate limit) if
+ * nothing has changed. The locations we request return the newest items first, so a 304 means there's
+ * nothing new at all, and we stop without processing anything. Each entry also records when it was
+ * `checked`, so the entries that are no longer requested can be pruned (see `pruneEtags()`). The cache
+ * is only updated once all the pages have been fetched, so a failed run doesn't cause the next run to
+ * skip pages it never processed.
+ * 
  * @param {Object} config The config object. This function expects:
  *      repo - string: the repo whose issues we're tracking, in `user/repo` format
  *      api_key - string: the GitHub personal API key to use
- *      labels - Array.<string>: array of labels we want to track
+ *      api_url - string (optional): the GitHub API to use (see `getApiURL()`)
  * @param {number} sinceTimestamp The last time we ran, in Date.getTime() format.
  *      We'll only look at updates in GitHub that happened since that time.
  * @param {string} location The last part of the URL for GitHub (issues or comments)
  * @param {object} queryOptions additional options to send to GitHub
- * @param {object} data Data object to return. The `timestamp` property is automatically managed
+ * @param {object} data Data object to return. The `timestamp` and `checkpoints` properties are automatically managed
  * @param {function} processorFunc function that operates on each item returned from GitHub. It is passed the item and the timestamp. If the function returns true, that means to stop processing.
+ * @param {Object=} etags Cache of ETag/Last-Modified values for conditional requests. Optional.
  * @return {Promise} A promise that's resolved with the data object
  */
-var requestGitHubData = function (config, sinceTimestamp, location, queryOptions, data, processorFunc) {
+var requestGitHubData = function (config, sinceTimestamp, location, queryOptions, data, processorFunc, etags) {
     var options = {
-        url: "https://api.github.com/repos/" + config.repo + "/" + location,
-        qs: _.extend({
-            per_page: 100,
-            access_token: config.api_key,
-            since: sinceTimestamp ? new Date(sinceTimestamp).toISOString() : undefined
-        }, queryOptions),
-        headers: {
-            "User-Agent": "github-label-tracker"
+            url: exports.getApiURL(config) + "/repos/" + config.repo + "/" + location,
+            qs: _.extend({
+                per_page: 100,
+                access_token: config.api_key,
+                since: sinceTimestamp ? new Date(sinceTimestamp).toISOString() : undefined
+            }, queryOptions),
+            headers: {
+                "User-Agent": "github-label-tracker"
+            }
+        },
+        checkpoint = data.checkpoints && data.checkpoints[location],
+        newEtags = {};
+
+    if (checkpoint && checkpoint.since === sinceTimestamp) {
+        console.log("Resuming " + location + " after page " + checkpoint.page);
+        options.qs.page = checkpoint.page + 1;
+    } else {
+        checkpoint = {
+            since: sinceTimestamp,
+            page: 0,
+            timestamp: undefined
+        };
+    }
+
+    function finish() {
+        if (etags) {
+            _.extend(etags, newEtags);
         }
-    };
+        if (checkpoint.timestamp !== undefined && (data.timestamp === undefined || checkpoint.timestamp > data.timestamp)) {
+            data.timestamp = checkpoint.timestamp;
+        }
+        if (data.checkpoints) {
+            delete data.checkpoints[location];
+            if (_.isEmpty(data.checkpoints)) {
+                delete data.checkpoints;
+            }
+        }
+        return data;
+    }
 
     function getNextPage() {
-        return request(options).spread(function (response, body) {
-            if (response.statusCode !== 200) {
-                throw new Error("Got bad status code: " + response.statusCode);
+        var cacheKey = _etagKey(options),
+            cached = etags && etags[cacheKey];
+
+        delete options.headers["If-None-Match"];
+        delete options.headers["If-Modified-Since"];
+        if (cached && cached.etag) {
+            options.headers["If-None-Match"] = cached.etag;
+        }
+        if (cached && cached.lastModified) {
+            options.headers["If-Modified-Since"] = cached.lastModified;
+        }
+
+        return _requestWithRetries(options, 0).spread(function (response, body) {
+            if (response.statusCode === 304) {
+                newEtags[cacheKey] = _.extend({}, cached, { checked: Date.now() });
+                return finish();
             }
 
-            var items = JSON.parse(body);
-            items.forEach(function (item) {
-                // Get the latest timestamp of all the returned data, so we know where to start
-                // checking for updates next time. (We don't just want to use a local timestamp,
-                // since it might be out of sync with the GitHub timestamps.)
-                var timestamp = Date.parse(item.updated_at);
+            if (etags && response.headers && (response.headers.etag || response.headers["last-modified"])) {
+                newEtags[cacheKey] = {
+                    etag: response.headers.etag,
+                    lastModified: response.headers["last-modified"],
+                    checked: Date.now()
+                };
+            }
 
-                if (data.timestamp === undefined || timestamp > data.timestamp) {
-                    data.timestamp = timestamp;
-                }
-                
-                processorFunc(item, timestamp);
-            });
+            var items = JSON.parse(body),
+                stopped = items.some(function (item) {
+                    // Get the latest timestamp of all the returned data, so we know where to start
+                    // checking for updates next time. (We don't just want to use a local timestamp,
+                    // since it might be out of sync with the GitHub timestamps.) Events don't have
+                    // an updated time, so we use their creation time instead, and reviews only
+                    // have the time they were submitted. Pending reviews have no time at all, so
+                    // they're left out of the checkpoint.
+                    var timestamp = Date.parse(item.updated_at || item.created_at || item.submitted_at);
+
+                    if (!isNaN(timestamp) && (checkpoint.timestamp === undefined || timestamp > checkpoint.timestamp)) {
+                        checkpoint.timestamp = timestamp;
+                    }
 
-            if (response.headers && response.headers.link) {
+                    return processorFunc(item, timestamp);
+                });
+
+            if (!stopped && response.headers && response.headers.link) {
                 var parsedLinks = parse_link_header(response.headers.link);
                 if (parsedLinks.next) {
+                    checkpoint.page = parseInt(options.qs.page || 1, 10);
+                    data.checkpoints = data.checkpoints || {};
+                    data.checkpoints[location] = checkpoint;
                     options.qs.page = parsedLinks.next.page;
                     return getNextPage();
                 }
@@ -131,7 +481,7 @@ var requestGitHubData = function (config, sinceTimestamp, location, queryOptions
             if (response.headers && response.headers["x-ratelimit-remaining"]) {
                 console.log("Rate Limit", response.headers["x-ratelimit-remaining"]);
             }
-            return data;
+            return finish();
         });
     }
 
@@ -158,6 +508,7 @@ exports.reformatIssue = function reformatIssue(issue) {
     delete copy.body;
     if (copy.pull_request) {
         copy.type = "pull";
+        copy.mergedAt = copy.pull_request.merged_at ? Date.parse(copy.pull_request.merged_at) : null;
         delete copy.pull_request;
     } else {
         copy.type = "issue";
@@ -165,6 +516,8 @@ exports.reformatIssue = function reformatIssue(issue) {
     if (copy.milestone) {
         copy.milestone = copy.milestone.title;
     }
+    // Older API responses only have the single `assignee`.
+    copy.assignees = _.pluck(copy.assignees || (copy.assignee ? [copy.assignee] : []), "login");
     if (copy.assignee) {
         copy.assignee = copy.assignee.login;
     }
@@ -184,6 +537,23 @@ exports.reformatIssue = function reformatIssue(issue) {
 
 
 
+/**
+ * Takes the raw GitHub version of a pull request (as returned by the pulls API, or in a webhook
+ * payload) and reformats it into the same form as `reformatIssue()` produces for the issue view
+ * of the pull request, plus its requested reviewers.
+ * 
+ * @param {Object} pull Pull request data from GitHub
+ * @return {Object} pull request data in our form for storage
+ */
+exports.reformatPullRequest = function (pull) {
+    var issue = _.pick(pull, ["number", "title", "user", "labels", "state", "milestone", "assignee",
+                              "assignees", "comments", "created_at", "updated_at", "closed_at"]);
+    issue.pull_request = { merged_at: pull.merged_at };
+    var copy = exports.reformatIssue(issue);
+    copy.requestedReviewers = _.pluck(pull.requested_reviewers || [], "login");
+    return copy;
+};
+
 /**
  * Gets the issues and pull requests from the GitHub repo that have been updated since the given timestamp,
  * and pulls out the tracked labels for each issue. Handles the GitHub API's paging.
@@ -192,18 +562,68 @@ exports.reformatIssue = function reformatIssue(issue) {
  *      api_key - string: the GitHub personal API key to use
  *      labels - Array.<string>: array of labels we want to track
  *      firstRun - you can set this on first run to only retrieve the open issues
- * @param {Object} db - current offline data
+ * @param {Object} db - current offline data. If it has an `etags` object, that's used to make
+ *      conditional requests (see `requestGitHubData()`).
  * @return {Promise} A promise that's resolved with the updated database.
  */
 exports.getLatestIssueInfo = function (config, db) {
+    // A fresh database (e.g. on a new machine) doesn't have any issues yet.
+    db.issues = db.issues || {};
     return requestGitHubData(config, db.timestamp, "issues", {
-        state: "all"
+        state: "all",
+        sort: "updated",
+        direction: "desc"
     }, db, function (issue) {
-        var ourIssue = exports.reformatIssue(issue);
+        var ourIssue = exports.reformatIssue(issue),
+            previous = db.issues[issue.number];
+        // The requested reviewers come from `getRequestedReviewers()`, so keep them until that updates them.
+        if (previous && previous.requestedReviewers) {
+            ourIssue.requestedReviewers = previous.requestedReviewers;
+        }
         db.issues[issue.number] = ourIssue;
+    }, db.etags);
+};
+
+/**
+ * Gets the requested reviewers for the open pull requests and adds them to `requestedReviewers`
+ * on the pull requests in the database. (The issues API doesn't include them.) GitHub takes
+ * reviewers off the list once they've submitted a review, so `requestedReviewers` keeps everyone
+ * whose review has ever been requested; otherwise their review wouldn't count as reviewer activity.
+ * Handles the GitHub API's paging.
+ * @param {Object} config The config object. This function expects:
+ *      repo - string: the repo whose issues we're tracking, in `user/repo` format
+ *      api_key - string: the GitHub personal API key to use
+ * @param {Object} db Master database of issue information, already updated by `getLatestIssueInfo()`
+ * @param {Object=} etags Cache for conditional requests (see `requestGitHubData()`). Optional.
+ * @return {Promise} A promise that's resolved with the updated database.
+ */
+exports.getRequestedReviewers = function (config, db, etags) {
+    return requestGitHubData(config, undefined, "pulls", {
+        state: "open",
+        sort: "updated",
+        direction: "desc"
+    }, {}, function (pull) {
+        var issue = db.issues && db.issues[pull.number];
+        if (issue) {
+            issue.requestedReviewers = _.union(issue.requestedReviewers || [],
+                                               _.pluck(pull.requested_reviewers || [], "login"));
+        }
+    }, etags).then(function () {
+        return db;
     });
 };
 
+/**
+ * Returns everyone who's responsible for reviewing an issue or pull request: its assignees
+ * and anyone whose review has been requested (including ones who have already reviewed it).
+ * @param {Object} issue The reformatted issue data
+ * @return {Array.<string>} The logins of the reviewers
+ */
+exports.getReviewers = function (issue) {
+    var assignees = issue.assignees || (issue.assignee ? [issue.assignee] : []);
+    return _.union(assignees, issue.requestedReviewers || []);
+};
+
 // Regular expression to get the pull request number out of the URL for a comment.
 // Comments don't have a separate field for their associated issue ID or a better way
 // to determine that the issue is a pull request.
@@ -221,13 +641,14 @@ var SIX_MONTHS = 6 * 30 * 24 * 3600 * 1000;
  *      firstRun - you can set this on first run to only retrieve comments for the six months
  * @param {number} sinceTimestamp The last time we ran, in Date.getTime() format.
  *      We'll only look at updates in GitHub that happened since that time.
+ * @param {Object=} etags Cache for conditional requests (see `requestGitHubData()`). Optional.
  * @return {Promise} A promise that's resolved with the comment info. This is an
  *      object with a "timestamp" property representing the last updated time of
  *      the most recent comment we retrieved and prCommentTimestamps which is an array
  *      of objects with `id` of the pull request, `user` who submitted the comment and `created`
  *      which is the timestamp the comment was created.
  */
-exports.getLatestComments = function (config, sinceTimestamp) {
+exports.getLatestComments = function (config, sinceTimestamp, etags) {
     var currentInfo = {
         timestamp: sinceTimestamp,
         prCommentTimestamps: []
@@ -249,19 +670,468 @@ exports.getLatestComments = function (config, sinceTimestamp) {
                 created: Date.parse(comment.created_at)
             });
         }
+    }, etags);
+};
+
+// Regular expression to get the pull request number out of the API URL of its pull request
+// for a review comment.
+var pullAPINumber = /pulls\/(\d+)$/;
+
+/**
+ * Gets the review comments (comments on the diff) from the GitHub repo that have been updated since
+ * the given timestamp, and extracts the timestamps and creators. Handles the GitHub API's paging.
+ * @param {Object} config The config object. This function expects:
+ *      repo - string: the repo whose issues we're tracking, in `user/repo` format
+ *      api_key - string: the GitHub personal API key to use
+ *      firstRun - you can set this on first run to only retrieve comments for the six months
+ * @param {number} sinceTimestamp The last time we ran, in Date.getTime() format.
+ *      We'll only look at updates in GitHub that happened since that time.
+ * @param {Object=} etags Cache for conditional requests (see `requestGitHubData()`). Optional.
+ * @return {Promise} A promise that's resolved with the comment info, in the same format as
+ *      `getLatestComments()`.
+ */
+exports.getLatestReviewComments = function (config, sinceTimestamp, etags) {
+    var currentInfo = {
+        timestamp: sinceTimestamp,
+        prCommentTimestamps: []
+    };
+
+    return requestGitHubData(config, sinceTimestamp, "pulls/comments", {
+        sort: "created",
+        direction: "desc"
+    }, currentInfo, function (comment, timestamp) {
+        if (config.firstRun && (new Date() - timestamp > SIX_MONTHS)) {
+            return true;
+        }
+
+        var match = pullAPINumber.exec(comment.pull_request_url);
+        if (match) {
+            currentInfo.prCommentTimestamps.push({
+                id: parseInt(match[1], 10),
+                user: comment.user.login,
+                created: Date.parse(comment.created_at)
+            });
+        }
+    }, etags);
+};
+
+/**
+ * Gets the reviews submitted since the given timestamp on the open pull requests in the database.
+ * GitHub only lists reviews one pull request at a time, so this only looks at the pull requests that
+ * have been updated since then (submitting a review updates the pull request). Pending reviews that
+ * haven't been submitted yet are ignored.
+ * @param {Object} config The config object. This function expects:
+ *      repo - string: the repo whose issues we're tracking, in `user/repo` format
+ *      api_key - string: the GitHub personal API key to use
+ * @param {Object} db Master database of issue information, already updated by `getLatestIssueInfo()`
+ * @param {number} sinceTimestamp The last time we ran, in Date.getTime() format.
+ *      We'll only look at reviews that were submitted after that time.
+ * @param {Object=} etags Cache for conditional requests (see `requestGitHubData()`). Optional.
+ * @return {Promise} A promise that's resolved with the review info, in the same format as
+ *      `getLatestComments()`.
+ */
+exports.getLatestReviews = function (config, db, sinceTimestamp, etags) {
+    var currentInfo = {
+            timestamp: sinceTimestamp,
+            prCommentTimestamps: []
+        },
+        prIDs = Object.keys(db.issues || {}).filter(function (id) {
+            var issue = db.issues[id];
+            return issue.type === "pull" && issue.state === "open" &&
+                (!sinceTimestamp || !issue.updatedAt || issue.updatedAt >= sinceTimestamp);
+        });
+
+    // Request the reviews for one pull request at a time, so we don't hit GitHub all at once.
+    return Promise.reduce(prIDs, function (info, prID) {
+        return requestGitHubData(config, undefined, "pulls/" + prID + "/reviews", {}, info, function (review, timestamp) {
+            if (!review.submitted_at || (sinceTimestamp && timestamp <= sinceTimestamp)) {
+                return;
+            }
+
+            currentInfo.prCommentTimestamps.push({
+                id: parseInt(prID, 10),
+                user: review.user.login,
+                created: timestamp
+            });
+        }, etags);
+    }, currentInfo);
+};
+
+/**
+ * Combines the comment info from several sources (`getLatestComments()`, `getLatestReviewComments()`
+ * and `getLatestReviews()`), so they can all be passed to `updateLog()` together.
+ * @param {...Object} commentInfo The comment info objects to combine. Any of them can be undefined.
+ * @return {Object} The combined comment info, with the latest timestamp of all of them.
+ */
+exports.mergeCommentInfo = function () {
+    var result = {
+        timestamp: undefined,
+        prCommentTimestamps: []
+    };
+    Array.prototype.slice.call(arguments).forEach(function (commentInfo) {
+        if (!commentInfo) {
+            return;
+        }
+        if (result.timestamp === undefined || commentInfo.timestamp > result.timestamp) {
+            result.timestamp = commentInfo.timestamp;
+        }
+        result.prCommentTimestamps = result.prCommentTimestamps.concat(commentInfo.prCommentTimestamps || []);
     });
+    return result;
+};
+
+// The issue events that change an issue's state.
+var STATE_EVENTS = ["closed", "reopened", "merged"];
+
+/**
+ * @private
+ * Gets the title of the milestone a "milestoned" or "demilestoned" event is about.
+ * @param {Object} event The issue event from GitHub.
+ * @return {string|undefined} The milestone's title, or undefined if the event doesn't have one.
+ */
+function _milestoneTitle(event) {
+    return event.milestone && event.milestone.title;
+}
+
+/**
+ * @private
+ * Gets the login of the user an "assigned" or "unassigned" event is about.
+ * @param {Object} event The issue event from GitHub.
+ * @return {string|undefined} The assignee's login, or undefined if the event doesn't have one.
+ */
+function _assigneeLogin(event) {
+    return event.assignee && event.assignee.login;
+}
+
+// The issue events that change an issue's milestone or assignees, with the list in the event info
+// each one goes in and how to get the milestone or assignee it's about.
+var VALUE_EVENTS = {
+    milestoned: { list: "milestoneEvents", key: "milestone", value: _milestoneTitle },
+    demilestoned: { list: "milestoneEvents", key: "milestone", value: _milestoneTitle },
+    assigned: { list: "assigneeEvents", key: "assignee", value: _assigneeLogin },
+    unassigned: { list: "assigneeEvents", key: "assignee", value: _assigneeLogin }
 };
 
+/**
+ * Gets the issue events from the GitHub repo that have happened since the given timestamp,
+ * and extracts the label and state changes from them. GitHub returns the events newest first and
+ * doesn't support a "since" query for them, so we stop paging once we reach an event we've
+ * already seen. Handles the GitHub API's paging.
+ * @param {Object} config The config object. This function expects:
+ *      repo - string: the repo whose issues we're tracking, in `user/repo` format
+ *      api_key - string: the GitHub personal API key to use
+ * @param {number} sinceTimestamp The last time we ran, in Date.getTime() format.
+ *      We'll only look at events in GitHub that happened after that time.
+ * @param {Object=} etags Cache for conditional requests (see `requestGitHubData()`). Optional.
+ * @return {Promise} A promise that's resolved with the event info. This is an
+ *      object with a "timestamp" property representing the time of the most recent event
+ *      we retrieved and labelEvents which is an array of objects with `id` of the issue,
+ *      `event` (either "labeled" or "unlabeled"), the `label` name, the `user` who made the
+ *      change and `created` which is the timestamp of the change, and stateEvents which is an
+ *      array of objects in the same format, but with `event` being "closed", "reopened" or
+ *      "merged" and no `label`. Closed events also have the `reason` GitHub gives, if any
+ *      (e.g. "completed" or "not_planned"). milestoneEvents and assigneeEvents are in the same
+ *      format too, with `event` being "milestoned" or "demilestoned" and the milestone's title in
+ *      `milestone`, or "assigned" or "unassigned" and the assignee's login in `assignee`.
+ */
+exports.getLatestEvents = function (config, sinceTimestamp, etags) {
+    var currentInfo = {
+        timestamp: sinceTimestamp,
+        labelEvents: [],
+        stateEvents: [],
+        milestoneEvents: [],
+        assigneeEvents: []
+    };
+
+    return requestGitHubData(config, undefined, "issues/events", {}, currentInfo, function (event, timestamp) {
+        if (sinceTimestamp && timestamp <= sinceTimestamp) {
+            return true;
+        }
+
+        if ((event.event === "labeled" || event.event === "unlabeled") && event.label && event.issue) {
+            currentInfo.labelEvents.push({
+                id: event.issue.number,
+                event: event.event,
+                label: event.label.name,
+                user: event.actor ? event.actor.login : null,
+                created: timestamp
+            });
+        } else if (STATE_EVENTS.indexOf(event.event) !== -1 && event.issue) {
+            var stateEvent = {
+                id: event.issue.number,
+                event: event.event,
+                user: event.actor ? event.actor.login : null,
+                created: timestamp
+            };
+            if (event.state_reason) {
+                stateEvent.reason = event.state_reason;
+            }
+            currentInfo.stateEvents.push(stateEvent);
+        } else if (VALUE_EVENTS[event.event] && event.issue) {
+            var valueEvent = VALUE_EVENTS[event.event],
+                value = valueEvent.value(event);
+            if (value) {
+                var info = {
+                    id: event.issue.number,
+                    event: event.event,
+                    user: event.actor ? event.actor.login : null,
+                    created: timestamp
+                };
+                info[valueEvent.key] = value;
+                currentInfo[valueEvent.list].push(info);
+            }
+        }
+    }, etags);
+};
+
+/**
+ * @private
+ * Records who made each of the given changes in the `addedBy` or `removedBy` map of a change
+ * entry. If we already know who made a change, we don't forget it just because this record of it
+ * doesn't say.
+ * @param {Object} actors The `addedBy` or `removedBy` map.
+ * @param {Array.<string>} values The labels, milestones or assignees that changed.
+ * @param {?string} actor Who changed them, or null if we don't know.
+ */
+function _recordActors(actors, values, actor) {
+    values.forEach(function (value) {
+        if (!actors[value]) {
+            actors[value] = actor || null;
+        }
+    });
+}
+
+/**
+ * @private
+ * Records a set of changes to one issue's labels, milestone or assignees at the given timestamp,
+ * merging them with any changes already recorded at that time, and updates the issue's current
+ * values.
+ * @param {Object} histories The log's `issueLabels`, `issueMilestones` or `issueAssignees`.
+ * @param {string|number} issueNumber The issue that changed.
+ * @param {number} timestamp When the change happened.
+ * @param {Array.<string>} added Values that were added.
+ * @param {Array.<string>} removed Values that were removed.
+ * @param {?string=} actor The GitHub user who made the changes, if we know.
+ */
+function _recordChanges(histories, issueNumber, timestamp, added, removed, actor) {
+    var history = histories[issueNumber] || {},
+        newChanges;
+
+    history.changes = history.changes || {};
+    newChanges = history.changes[timestamp] || {};
+    if (removed.length) {
+        newChanges.removed = _.union(newChanges.removed || [], removed);
+        newChanges.removedBy = newChanges.removedBy || {};
+        _recordActors(newChanges.removedBy, removed, actor);
+    }
+    if (added.length) {
+        newChanges.added = _.union(newChanges.added || [], added);
+        newChanges.addedBy = newChanges.addedBy || {};
+        _recordActors(newChanges.addedBy, added, actor);
+    }
+    history.changes[timestamp] = newChanges;
+    history.current = _.union(_.difference(history.current || [], removed), added);
+    histories[issueNumber] = history;
+}
+
+/**
+ * @private
+ * Replays label, milestone or assignee events from `getLatestEvents()` into the log, so each change
+ * is recorded under the time it actually happened. Events that are already reflected in the log
+ * (because they happened before the last time we ran) or that happened after we fetched the issue
+ * are skipped.
+ * @param {Object} histories The log's `issueLabels`, `issueMilestones` or `issueAssignees`.
+ * @param {Object} db Master database of issue information
+ * @param {Array.<Object>} events The events, in the format returned by `getLatestEvents()`
+ * @param {string} key The property of each event with the label, milestone or assignee.
+ * @param {string} addEvent The event for adding a value, e.g. "labeled". Any other event removes it.
+ * @param {number} lastTimestamp The log timestamp from the previous run
+ * @param {function(string): boolean=} isTracked Filters out values we don't track. Optional.
+ */
+function _applyChangeEvents(histories, db, events, key, addEvent, lastTimestamp, isTracked) {
+    // GitHub returns the events newest first. Reverse them before sorting so that events
+    // with identical timestamps still end up in the order they happened.
+    _.sortBy(events.slice().reverse(), "created").forEach(function (event) {
+        var issue = db.issues[event.id],
+            value = event[key],
+            current = (histories[event.id] && histories[event.id].current) || [],
+            hasValue = current.indexOf(value) > -1;
+
+        if (!issue || (isTracked && !isTracked(value)) ||
+                (lastTimestamp && event.created <= lastTimestamp) ||
+                (issue.updatedAt && event.created > issue.updatedAt)) {
+            return;
+        }
+
+        if (event.event === addEvent && !hasValue) {
+            _recordChanges(histories, event.id, event.created, [value], [], event.user);
+        } else if (event.event !== addEvent && hasValue) {
+            _recordChanges(histories, event.id, event.created, [], [value], event.user);
+        }
+    });
+}
+
+/**
+ * @private
+ * Records whatever changes are needed to bring an issue's current labels, milestone or assignees in
+ * the log in line with the issue database, at the given timestamp and with no actor.
+ * @param {Object} histories The log's `issueLabels`, `issueMilestones` or `issueAssignees`.
+ * @param {string|number} issueNumber The issue.
+ * @param {Array.<string>} values The issue's labels, milestone or assignees now.
+ * @param {number} timestamp When to record the changes.
+ */
+function _reconcileChanges(histories, issueNumber, values, timestamp) {
+    var oldValues = (histories[issueNumber] && histories[issueNumber].current) || [],
+        removed = _.difference(oldValues, values),
+        added = _.difference(values, oldValues);
+
+    if (removed.length || added.length) {
+        _recordChanges(histories, issueNumber, timestamp, added, removed, null);
+        histories[issueNumber].current = values;
+    }
+}
+
+/**
+ * Returns an issue's milestone as a list, for the `issueMilestones` history.
+ * @param {Object} issue The issue from the database.
+ * @return {Array.<string>} The milestone's title, or an empty list if it has no milestone.
+ */
+exports.getMilestones = function (issue) {
+    return issue.milestone ? [issue.milestone] : [];
+};
+
+/**
+ * Returns an issue's assignees. Issues stored by older versions only have the single `assignee`.
+ * @param {Object} issue The issue from the database.
+ * @return {Array.<string>} The assignees' logins.
+ */
+exports.getAssignees = function (issue) {
+    return issue.assignees || (issue.assignee ? [issue.assignee] : []);
+};
+
+/**
+ * Returns whether an issue is open or closed at the end of its state history.
+ * @param {Array.<Object>} stateHistory The issue's entry in the log's `issueStates`.
+ * @return {?string} "open" or "closed", or null if the history is empty.
+ */
+exports.getStateFromHistory = function (stateHistory) {
+    var last = _.last(stateHistory || []);
+    if (!last) {
+        return null;
+    }
+    return (last.event === "opened" || last.event === "reopened") ? "open" : "closed";
+};
+
+/**
+ * @private
+ * Adds a state change to an issue's state history, keeping the history in time order. A change
+ * that's already recorded is ignored, apart from filling in who made it if we didn't know. GitHub
+ * reports a merge as both a merge and a close, so a close at the same time as a merge is treated
+ * as part of the merge.
+ * @param {Object} log The log being updated.
+ * @param {string|number} issueNumber The issue whose state changed.
+ * @param {{event: string, timestamp: number, actor: ?string, reason: string=}} change The change.
+ */
+function _recordStateChange(log, issueNumber, change) {
+    var history = log.issueStates[issueNumber] = log.issueStates[issueNumber] || [],
+        sameTime = _.filter(history, { timestamp: change.timestamp }),
+        existing = _.find(sameTime, { event: change.event }),
+        index;
+
+    if (existing) {
+        existing.actor = existing.actor || change.actor;
+        return;
+    }
+    if (change.event === "closed" && _.find(sameTime, { event: "merged" })) {
+        return;
+    }
+    if (change.event === "merged") {
+        history = log.issueStates[issueNumber] = _.reject(history, { timestamp: change.timestamp, event: "closed" });
+    }
+
+    // Changes at the same time go in the order we hear about them.
+    index = _.findIndex(history, function (other) {
+        return other.timestamp > change.timestamp;
+    });
+    history.splice(index === -1 ? history.length : index, 0, change);
+}
+
+/**
+ * @private
+ * Replays state events from `getLatestEvents()` into the log. Like the label events, ones that
+ * happened before the last time we ran or after we fetched the issue are skipped.
+ * @param {Object} log The log being updated.
+ * @param {Object} db Master database of issue information
+ * @param {Array.<Object>} stateEvents The state events, in the format returned by `getLatestEvents()`
+ * @param {number} lastTimestamp The log timestamp from the previous run
+ */
+function _applyStateEvents(log, db, stateEvents, lastTimestamp) {
+    stateEvents.forEach(function (stateEvent) {
+        var issue = db.issues[stateEvent.id],
+            change;
+
+        if (!issue || (lastTimestamp && stateEvent.created <= lastTimestamp) ||
+                (issue.updatedAt && stateEvent.created > issue.updatedAt)) {
+            return;
+        }
+
+        change = { event: stateEvent.event, timestamp: stateEvent.created, actor: stateEvent.user || null };
+        if (stateEvent.reason) {
+            change.reason = stateEvent.reason;
+        }
+        _recordStateChange(log, stateEvent.id, change);
+    });
+}
+
+/**
+ * @private
+ * Makes sure an issue's state history ends in the state the issue is in now. Issues we haven't
+ * seen before get an "opened" entry for when they were created. If the events didn't account
+ * for the issue being closed or reopened, the change is recorded when the issue was closed or
+ * merged, or at the log timestamp for a reopen, with no actor since we don't know who made it.
+ * @param {Object} log The log being updated.
+ * @param {string|number} issueNumber The issue.
+ * @param {Object} issue The issue from the database.
+ */
+function _reconcileState(log, issueNumber, issue) {
+    var history = log.issueStates[issueNumber] || [],
+        state;
+
+    if (!_.find(history, { event: "opened" }) && issue.createdAt) {
+        _recordStateChange(log, issueNumber, { event: "opened", timestamp: issue.createdAt, actor: issue.user || null });
+    }
+
+    state = exports.getStateFromHistory(log.issueStates[issueNumber]);
+    if (issue.state === "closed" && state !== "closed") {
+        var change = {
+            event: issue.mergedAt ? "merged" : "closed",
+            timestamp: issue.mergedAt || issue.closedAt || log.timestamp,
+            actor: null
+        };
+        if (issue.state_reason && !issue.mergedAt) {
+            change.reason = issue.state_reason;
+        }
+        _recordStateChange(log, issueNumber, change);
+    } else if (issue.state === "open" && state === "closed") {
+        _recordStateChange(log, issueNumber, { event: "reopened", timestamp: log.timestamp, actor: null });
+    }
+}
+
 /**
  * Updates the existing log in-place to find tracked labels that have been added to or
- * removed from issues in the given newLabels.
+ * removed from issues in the given newLabels, along with changes to each issue's state,
+ * milestone and assignees. Labels are recorded under their canonical names (see `normalizeLabel()`).
  * @param {Object} config the configuration with "labels" as the list of labels to track
  * @param {Object} log The previous log, in the format described in the README.
- * @param {Object} db Master database of issue information
+ * @param {Object} db Master database of issue information. The comments on the open pull requests
+ *      are kept in its `comments`, so the pull request activity can be worked out from all of them.
  * @param {Object} latestComments Pull request comment info from `getLatestComments()`
+ * @param {Object} latestEvents Event info from `getLatestEvents()`. If this is
+ *      provided, changes are recorded at the time they happened rather than the log timestamp.
  */
-exports.updateLog = function (config, log, db, latestComments) {
-    var newTimestamp = db.timestamp;
+exports.updateLog = function (config, log, db, latestComments, latestEvents) {
+    var lastTimestamp = log.timestamp,
+        newTimestamp = db.timestamp;
     if (latestComments && latestComments.timestamp > db.timestamp) {
         newTimestamp = latestComments.timestamp;
     }
@@ -270,33 +1140,47 @@ exports.updateLog = function (config, log, db, latestComments) {
     
     log.issueLabels = log.issueLabels || {};
 
-    // In theory, if the timestamps are the same, nothing should have
-    // changed. But it doesn't hurt to check anyway in case there was
-    // some race condition with the timestamps of issues updated at the
-    // same time the last "since" query was executed.
+    if (latestEvents && latestEvents.labelEvents) {
+        var labelEvents = latestEvents.labelEvents.map(function (labelEvent) {
+            return _.extend({}, labelEvent, { label: exports.normalizeLabel(config, labelEvent.label) });
+        });
+        _applyChangeEvents(log.issueLabels, db, labelEvents, "label", "labeled", lastTimestamp, function (label) {
+            return config.labels.indexOf(label) > -1;
+        });
+    }
+
+    log.issueMilestones = log.issueMilestones || {};
+    if (latestEvents && latestEvents.milestoneEvents) {
+        _applyChangeEvents(log.issueMilestones, db, latestEvents.milestoneEvents, "milestone", "milestoned", lastTimestamp);
+    }
+
+    log.issueAssignees = log.issueAssignees || {};
+    if (latestEvents && latestEvents.assigneeEvents) {
+        _applyChangeEvents(log.issueAssignees, db, latestEvents.assigneeEvents, "assignee", "assigned", lastTimestamp);
+    }
+
+    log.issueStates = log.issueStates || {};
+    if (latestEvents && latestEvents.stateEvents) {
+        _applyStateEvents(log, db, latestEvents.stateEvents, lastTimestamp);
+    }
+
+    // Anything the events didn't account for (e.g. if this is the first run, or the events
+    // weren't available) is recorded at the log timestamp. In theory, if the timestamps are
+    // the same, nothing should have changed. But it doesn't hurt to check anyway in case
+    // there was some race condition with the timestamps of issues updated at the same time
+    // the last "since" query was executed. We don't know who made these changes.
     Object.keys(db.issues).forEach(function (issueNumber) {
-        var oldLabelsForIssue = (log.issueLabels[issueNumber] && log.issueLabels[issueNumber].current) || [],
-            newLabelsForIssue = _.intersection(db.issues[issueNumber].labels, config.labels),
-            removedLabels = _.difference(oldLabelsForIssue, newLabelsForIssue),
-            addedLabels = _.difference(newLabelsForIssue, oldLabelsForIssue);
-        
-        if (removedLabels.length || addedLabels.length) {
-            var issueLabels = log.issueLabels[issueNumber] || {},
-                newChanges = {};
-            if (removedLabels.length) {
-                newChanges.removed = removedLabels;
-            }
-            if (addedLabels.length) {
-                newChanges.added = addedLabels;
-            }
-            issueLabels.changes = issueLabels.changes || {};
-            issueLabels.changes[log.timestamp] = newChanges;
-            issueLabels.current = newLabelsForIssue;
-            log.issueLabels[issueNumber] = issueLabels;
-        }
+        var issue = db.issues[issueNumber];
+
+        _reconcileChanges(log.issueLabels, issueNumber, _.intersection(exports.normalizeLabels(config, issue.labels), config.labels),
+                          log.timestamp);
+        _reconcileChanges(log.issueMilestones, issueNumber, exports.getMilestones(issue), log.timestamp);
+        _reconcileChanges(log.issueAssignees, issueNumber, exports.getAssignees(issue), log.timestamp);
+        _reconcileState(log, issueNumber, issue);
     });
     
     log.pullRequests = log.pullRequests || {};
+    db.comments = db.comments || {};
     
     var prIDs = _.chain(_.values(db.issues)).filter(function (issue) {
         return issue.type === "pull";
@@ -312,6 +1196,7 @@ exports.updateLog = function (config, log, db, latestComments) {
             if (existingPR) {
                 delete log.pullRequests[prID];
             }
+            delete db.comments[prID];
             return;
         }
         
@@ -320,38 +1205,232 @@ exports.updateLog = function (config, log, db, latestComments) {
         }
     });
     
-    // Gather up the comment information
+    // Gather up the comment information. The comments are kept until the pull request is closed,
+    // so if someone who's already commented becomes a reviewer, their comments count from then on.
     if (latestComments && latestComments.prCommentTimestamps) {
         latestComments.prCommentTimestamps.forEach(function (comment) {
-            var pr = log.pullRequests[comment.id],
-                issue = db.issues[comment.id];
-            if (pr) {
-                if (comment.user === issue.assignee) {
-                    if (!pr.latestAssigneeComment || pr.latestAssigneeComment < comment.created) {
-                        pr.latestAssigneeComment = comment.created;
-                    }
-                } else if (comment.user === issue.user) {
-                    if (!pr.latestUserComment || pr.latestUserComment < comment.created) {
-                        pr.latestUserComment = comment.created;
-                    }
+            if (log.pullRequests[comment.id]) {
+                var comments = db.comments[comment.id] = db.comments[comment.id] || [];
+                if (!_.find(comments, { user: comment.user, created: comment.created })) {
+                    comments.push({ user: comment.user, created: comment.created });
                 }
             }
         });
     }
+    
+    _.forEach(log.pullRequests, function (pr, prID) {
+        var issue = db.issues[prID];
+        if (!issue) {
+            return;
+        }
+        (db.comments[prID] || []).forEach(function (comment) {
+            if (exports.getReviewers(issue).indexOf(comment.user) > -1) {
+                if (!pr.latestAssigneeComment || pr.latestAssigneeComment < comment.created) {
+                    pr.latestAssigneeComment = comment.created;
+                }
+            } else if (comment.user === issue.user) {
+                if (!pr.latestUserComment || pr.latestUserComment < comment.created) {
+                    pr.latestUserComment = comment.created;
+                }
+            }
+        });
+    });
 };
 
 /**
- * Pushes log changes back up to the storage repo.
+ * @private
+ * Records some or all of the values from a change entry from another log.
+ * @param {Object} histories The log's `issueLabels`, `issueMilestones` or `issueAssignees`.
+ * @param {string|number} issueNumber The issue that changed.
+ * @param {number|string} timestamp When the change happened.
+ * @param {Object} change The change entry, with its `addedBy` and `removedBy` maps.
+ * @param {Array.<string>} added The added values to record.
+ * @param {Array.<string>} removed The removed values to record.
+ */
+function _replayChange(histories, issueNumber, timestamp, change, added, removed) {
+    // Each value can have been changed by someone different.
+    removed.forEach(function (value) {
+        _recordChanges(histories, issueNumber, timestamp, [], [value], (change.removedBy || {})[value]);
+    });
+    added.forEach(function (value) {
+        _recordChanges(histories, issueNumber, timestamp, [value], [], (change.addedBy || {})[value]);
+    });
+}
+
+/**
+ * @private
+ * Maps each label in an `addedBy` or `removedBy` map to its canonical name. If several names for a
+ * label were changed at once, we keep the first one we know who changed.
  * @param {Object} config The config object.
- * @return {Promise} A promise that's resolved when the changes have been pushed.
+ * @param {Object} actors The `addedBy` or `removedBy` map.
+ * @return {Object} The map with canonical label names.
  */
-exports.storeFiles = function (config) {
-    var options = { cwd: "storage" };
-    return _logExec("git add .", options)
-        .then(function () {
-            _logExec("git commit -m 'Update log'", options);
-        })
-        .then(function () {
-            _logExec("git push origin head", options);
+function _normalizeActors(config, actors) {
+    var result = {};
+    _.forEach(actors || {}, function (actor, label) {
+        var name = exports.normalizeLabel(config, label);
+        result[name] = result[name] || actor;
+    });
+    return result;
+}
+
+/**
+ * Rewrites a repo's label history to use the canonical label names from `config.labelAliases`, for
+ * history recorded before the aliases were set up. A label that was renamed between runs shows up
+ * as the old name being removed and the new one added at the same time, and since those are now
+ * the same label, that's dropped. So are changes that no longer change anything, like adding a
+ * label the issue already had under its other name.
+ * **Modifies the log in place**
+ * @param {Object} config The config object.
+ * @param {Object} log The repo's log.
+ * @return {Array.<string>} The issues whose label history was rewritten.
+ */
+exports.repairLabels = function (config, log) {
+    var repaired = [];
+    _.forEach(log.issueLabels || {}, function (labelInfo, issueNumber) {
+        var histories = {},
+            changes = labelInfo.changes || {},
+            timestamps = _.sortBy(Object.keys(changes), function (timestamp) {
+                return parseInt(timestamp, 10);
+            });
+
+        timestamps.forEach(function (timestamp) {
+            var change = changes[timestamp],
+                current = (histories[issueNumber] && histories[issueNumber].current) || [],
+                removed = exports.normalizeLabels(config, change.removed),
+                added = exports.normalizeLabels(config, change.added),
+                renamed = _.intersection(removed, added);
+
+            _replayChange(histories, issueNumber, timestamp, {
+                addedBy: _normalizeActors(config, change.addedBy),
+                removedBy: _normalizeActors(config, change.removedBy)
+            }, _.difference(added, renamed, current), _.intersection(_.difference(removed, renamed), current));
+        });
+
+        var newLabelInfo = histories[issueNumber] || { changes: {} };
+        newLabelInfo.current = exports.normalizeLabels(config, labelInfo.current);
+        if (!_.isEqual(newLabelInfo, labelInfo)) {
+            log.issueLabels[issueNumber] = newLabelInfo;
+            repaired.push(issueNumber);
+        }
+    });
+    return repaired;
+};
+
+/**
+ * @private
+ * Merges milestone or assignee histories rebuilt from the full event history into the existing
+ * ones. Like the state histories, the rebuilt ones are more accurate, so they replace the existing
+ * ones, and only the existing changes that happened after the rebuilt log was made are kept.
+ * @param {Object} histories The existing `issueMilestones` or `issueAssignees`.
+ * @param {Object} rebuilt The rebuilt ones.
+ * @param {number} rebuiltTimestamp The rebuilt log's timestamp.
+ * @return {Object} The merged histories.
+ */
+function _mergeHistories(histories, rebuilt, rebuiltTimestamp) {
+    var merged = _.cloneDeep(histories);
+    Object.keys(rebuilt).forEach(function (issueNumber) {
+        var changes = (histories[issueNumber] && histories[issueNumber].changes) || {},
+            newer = _.sortBy(Object.keys(changes).filter(function (timestamp) {
+                return parseInt(timestamp, 10) > rebuiltTimestamp;
+            }), function (timestamp) {
+                return parseInt(timestamp, 10);
+            });
+
+        merged[issueNumber] = _.cloneDeep(rebuilt[issueNumber]);
+        newer.forEach(function (timestamp) {
+            var change = changes[timestamp];
+            _replayChange(merged, issueNumber, timestamp, change, change.added || [], change.removed || []);
+        });
+    });
+    return merged;
+}
+
+/**
+ * Merges a log that was rebuilt from the full GitHub history (by running `updateLog()` against
+ * an empty log) into the existing log. The existing log is trusted up to its timestamp for the
+ * labels it was already tracking. Everything else--labels it never saw (e.g. because they were
+ * just added to `config.labels`), issues it doesn't have, and anything that happened after its
+ * timestamp--comes from the rebuilt log. The state, milestone and assignee histories are taken
+ * from the rebuilt log, keeping only the existing changes that are newer than it.
+ * @param {Object} log The existing log, in the format described in the README. Not modified.
+ * @param {Object} rebuiltLog The log rebuilt from the full history.
+ * @return {Object} The merged log.
+ */
+exports.mergeLogs = function (log, rebuiltLog) {
+    var merged = _.cloneDeep(log),
+        lastTimestamp = log.timestamp;
+
+    if (merged.timestamp === undefined || rebuiltLog.timestamp > merged.timestamp) {
+        merged.timestamp = rebuiltLog.timestamp;
+    }
+
+    merged.issueLabels = merged.issueLabels || {};
+    Object.keys(rebuiltLog.issueLabels || {}).forEach(function (issueNumber) {
+        var rebuilt = rebuiltLog.issueLabels[issueNumber],
+            existing = merged.issueLabels[issueNumber],
+            knownLabels = stats.getAllLabelsSeen(existing),
+            timestamps = _.sortBy(Object.keys(rebuilt.changes || {}), function (timestamp) {
+                return parseInt(timestamp, 10);
+            });
+
+        // Replay the rebuilt changes on top of the existing labels, only taking the changes
+        // the existing log couldn't have seen, and skipping any that are already reflected.
+        timestamps.forEach(function (timestamp) {
+            var change = rebuilt.changes[timestamp],
+                current = (merged.issueLabels[issueNumber] && merged.issueLabels[issueNumber].current) || [];
+
+            function isNew(label) {
+                return knownLabels.indexOf(label) === -1 || !lastTimestamp || parseInt(timestamp, 10) > lastTimestamp;
+            }
+
+            var addedLabels = (change.added || []).filter(function (label) {
+                    return isNew(label) && current.indexOf(label) === -1;
+                }),
+                removedLabels = (change.removed || []).filter(function (label) {
+                    return isNew(label) && current.indexOf(label) > -1;
+                });
+
+            _replayChange(merged.issueLabels, issueNumber, timestamp, change, addedLabels, removedLabels);
         });
+    });
+
+    ["issueMilestones", "issueAssignees"].forEach(function (key) {
+        if (rebuiltLog[key]) {
+            merged[key] = _mergeHistories(merged[key] || {}, rebuiltLog[key], rebuiltLog.timestamp);
+        }
+    });
+
+    // The rebuilt pull request info is complete for the currently open pull requests, but keep
+    // any comment times from the existing log that are more recent.
+    var pullRequests = _.cloneDeep(rebuiltLog.pullRequests || {});
+    Object.keys(pullRequests).forEach(function (prID) {
+        var existingPR = merged.pullRequests && merged.pullRequests[prID];
+        if (existingPR) {
+            ["latestAssigneeComment", "latestUserComment"].forEach(function (key) {
+                if (existingPR[key] && !(pullRequests[prID][key] >= existingPR[key])) {
+                    pullRequests[prID][key] = existingPR[key];
+                }
+            });
+        }
+    });
+    merged.pullRequests = pullRequests;
+
+    // The rebuilt state histories come from the full event history, so they're more accurate than
+    // the existing ones, which may have had to guess when changes happened. Only keep the existing
+    // changes that happened after the rebuilt log was made.
+    if (rebuiltLog.issueStates) {
+        merged.issueStates = merged.issueStates || {};
+        Object.keys(rebuiltLog.issueStates).forEach(function (issueNumber) {
+            var newer = _.filter(merged.issueStates[issueNumber] || [], function (change) {
+                return change.timestamp > rebuiltLog.timestamp;
+            });
+            merged.issueStates[issueNumber] = _.cloneDeep(rebuiltLog.issueStates[issueNumber]);
+            newer.forEach(function (change) {
+                _recordStateChange(merged, issueNumber, change);
+            });
+        });
+    }
+
+    return merged;
 };
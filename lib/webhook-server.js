@@ -0,0 +1,280 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+"use strict";
+
+var http          = require("http"),
+    crypto        = require("crypto"),
+    _             = require("lodash"),
+    tracker_utils = require("./tracker-utils");
+
+// The largest delivery we'll accept, in bytes. GitHub caps webhook payloads at 25 MB.
+var MAX_BODY_SIZE = 25 * 1024 * 1024;
+
+/**
+ * Checks the signature GitHub sends with a webhook delivery, which is an HMAC of the raw
+ * request body using the webhook's secret. Uses the SHA-256 signature (`X-Hub-Signature-256`)
+ * if there is one, otherwise the older SHA-1 signature (`X-Hub-Signature`).
+ * 
+ * @param {string} secret The webhook secret
+ * @param {Buffer|string} body The raw request body
+ * @param {Object} headers The request headers (with lowercase names, as node provides them)
+ * @return {boolean} Whether the signature is valid
+ */
+function verifySignature(secret, body, headers) {
+    var signature = headers["x-hub-signature-256"] || headers["x-hub-signature"],
+        algorithm = headers["x-hub-signature-256"] ? "sha256" : "sha1";
+    
+    if (!secret || !signature) {
+        return false;
+    }
+    
+    var expected = Buffer.from(algorithm + "=" + crypto.createHmac(algorithm, secret).update(body).digest("hex")),
+        actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Works out the events for an issue from a webhook payload, by comparing its labels, milestone or
+ * assignees in the payload with the current ones in the log. The changes are attributed to the
+ * sender and recorded at the time the issue was last updated.
+ * 
+ * @param {Object} histories The log's `issueLabels`, `issueMilestones` or `issueAssignees`
+ * @param {Array.<string>} newValues The issue's labels, milestone or assignees in the payload
+ * @param {string} key The property each event keeps the value in, e.g. "label"
+ * @param {string} addEvent The event for adding a value, e.g. "labeled"
+ * @param {string} removeEvent The event for removing a value, e.g. "unlabeled"
+ * @param {Object} issue The reformatted issue from the payload
+ * @param {string} sender Who made the change
+ * @return {Array.<Object>} Events, in the format returned by `tracker_utils.getLatestEvents()`
+ */
+function changeEventsFor(histories, newValues, key, addEvent, removeEvent, issue, sender) {
+    var history = histories && histories[issue.number],
+        oldValues = (history && history.current) || [];
+    
+    function toEvent(event) {
+        return function (value) {
+            var info = {
+                id: issue.number,
+                event: event,
+                user: sender,
+                created: issue.updatedAt
+            };
+            info[key] = value;
+            return info;
+        };
+    }
+    
+    return _.difference(oldValues, newValues).map(toEvent(removeEvent))
+        .concat(_.difference(newValues, oldValues).map(toEvent(addEvent)));
+}
+
+/**
+ * Works out the state event for an issue or pull request from an `issues` or `pull_request`
+ * webhook payload, if the delivery is for it being closed, merged or reopened. The change is
+ * attributed to the sender.
+ * 
+ * @param {Object} payload The webhook payload
+ * @param {Object} issue The reformatted issue from the payload
+ * @param {string} sender Who made the change
+ * @return {Array.<Object>} State events, in the format returned by `tracker_utils.getLatestEvents()`
+ */
+function stateEventsFor(payload, issue, sender) {
+    var stateEvent = {
+        id: issue.number,
+        user: sender
+    };
+    
+    if (payload.action === "closed") {
+        if (issue.mergedAt) {
+            stateEvent.event = "merged";
+            stateEvent.created = issue.mergedAt;
+        } else {
+            stateEvent.event = "closed";
+            stateEvent.created = issue.closedAt || issue.updatedAt;
+            if (issue.state_reason) {
+                stateEvent.reason = issue.state_reason;
+            }
+        }
+    } else if (payload.action === "reopened") {
+        stateEvent.event = "reopened";
+        stateEvent.created = issue.updatedAt;
+    } else {
+        return [];
+    }
+    return [stateEvent];
+}
+
+/**
+ * Applies a webhook delivery to the log and issue database for a repo, using `updateLog()` so the
+ * records are the same as if the change had been picked up by polling. Handles `issues`,
+ * `pull_request`, `issue_comment` and `pull_request_review` events; anything else is ignored.
+ * **Modifies the log and database in place**
+ * 
+ * @param {Object} config The config for the repo
+ * @param {Object} log The log for the repo
+ * @param {Object} db The issue database for the repo
+ * @param {string} eventName The event type, from the `X-GitHub-Event` header
+ * @param {Object} payload The webhook payload
+ * @return {boolean} Whether the event was applied
+ */
+function applyWebhookEvent(config, log, db, eventName, payload) {
+    var sender = payload.sender ? payload.sender.login : null,
+        issue,
+        comments;
+    
+    switch (eventName) {
+    case "issues":
+    case "issue_comment":
+        issue = tracker_utils.reformatIssue(payload.issue);
+        break;
+    case "pull_request":
+    case "pull_request_review":
+        issue = tracker_utils.reformatPullRequest(payload.pull_request);
+        break;
+    default:
+        return false;
+    }
+    
+    if (eventName === "issue_comment" && payload.action === "created" && issue.type === "pull") {
+        comments = [{
+            id: issue.number,
+            user: payload.comment.user.login,
+            created: Date.parse(payload.comment.created_at)
+        }];
+    } else if (eventName === "pull_request_review" && payload.action === "submitted") {
+        comments = [{
+            id: issue.number,
+            user: payload.review.user.login,
+            created: Date.parse(payload.review.submitted_at)
+        }];
+    }
+    
+    // The issue view of a pull request doesn't have the requested reviewers, and the pull request
+    // view drops reviewers once they've submitted a review, so keep the ones we had (see
+    // `tracker_utils.getRequestedReviewers()`).
+    db.issues = db.issues || {};
+    var previous = db.issues[issue.number];
+    if (previous && previous.requestedReviewers) {
+        issue.requestedReviewers = _.union(previous.requestedReviewers, issue.requestedReviewers || []);
+    }
+    db.issues[issue.number] = issue;
+    
+    var trackedLabels = _.intersection(tracker_utils.normalizeLabels(config, issue.labels), config.labels);
+    tracker_utils.updateLog(config, log, db, comments && {
+        prCommentTimestamps: comments
+    }, {
+        labelEvents: changeEventsFor(log.issueLabels, trackedLabels, "label", "labeled", "unlabeled", issue, sender),
+        milestoneEvents: changeEventsFor(log.issueMilestones, tracker_utils.getMilestones(issue), "milestone",
+                                         "milestoned", "demilestoned", issue, sender),
+        assigneeEvents: changeEventsFor(log.issueAssignees, tracker_utils.getAssignees(issue), "assignee",
+                                        "assigned", "unassigned", issue, sender),
+        stateEvents: (eventName === "issues" || eventName === "pull_request") ? stateEventsFor(payload, issue, sender) : []
+    });
+    return true;
+}
+
+/**
+ * Creates an HTTP server that receives GitHub webhook deliveries. Deliveries bigger than
+ * MAX_BODY_SIZE are rejected with a 413 without reading the rest of them, and ones with a missing
+ * or invalid signature are rejected with a 401. Valid ones are parsed and passed to the handler.
+ * 
+ * @param {string} secret The webhook secret
+ * @param {function(string, Object)} handler Called with the event name and parsed payload of each
+ *      valid delivery.
+ * @return {http.Server} The server (not yet listening)
+ */
+function createServer(secret, handler) {
+    return http.createServer(function (req, res) {
+        var chunks = [],
+            size = 0,
+            tooLarge = false;
+        
+        function rejectTooLarge() {
+            tooLarge = true;
+            chunks = [];
+            res.writeHead(413, { Connection: "close" });
+            res.end("Payload too large", function () {
+                req.destroy();
+            });
+        }
+        
+        if (req.method !== "POST") {
+            res.writeHead(405);
+            res.end();
+            return;
+        }
+        if (parseInt(req.headers["content-length"], 10) > MAX_BODY_SIZE) {
+            rejectTooLarge();
+            return;
+        }
+        
+        req.on("data", function (chunk) {
+            if (tooLarge) {
+                return;
+            }
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                rejectTooLarge();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on("end", function () {
+            if (tooLarge) {
+                return;
+            }
+            var body = Buffer.concat(chunks),
+                payload;
+            
+            if (!verifySignature(secret, body, req.headers)) {
+                res.writeHead(401);
+                res.end("Bad signature");
+                return;
+            }
+            
+            try {
+                payload = JSON.parse(body.toString("utf8"));
+            } catch (err) {
+                res.writeHead(400);
+                res.end("Bad payload");
+                return;
+            }
+            
+            try {
+                handler(req.headers["x-github-event"], payload);
+            } catch (err) {
+                console.error("Error handling " + req.headers["x-github-event"] + " event", err.stack);
+                res.writeHead(500);
+                res.end();
+                return;
+            }
+            res.writeHead(202);
+            res.end();
+        });
+    });
+}
+
+exports.verifySignature = verifySignature;
+exports.applyWebhookEvent = applyWebhookEvent;
+exports.createServer = createServer;
@@ -0,0 +1,498 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global expect, describe, it, beforeEach, afterEach */
+
+"use strict";
+
+var Promise = require("bluebird"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
+    _ = require("lodash"),
+    data_store = require("../lib/data-store");
+
+describe("data stores", function () {
+    var dir,
+        config,
+        data;
+
+    beforeEach(function () {
+        dir = path.join(os.tmpdir(), "data-store-spec-" + process.pid);
+        fs.mkdirSync(dir);
+        config = { repo: "my/repo" };
+        data = {
+            log: {
+                timestamp: 1402425337000,
+                issueLabels: {
+                    "1": {
+                        changes: {
+                            "1402425300000": { added: ["Ready", "Review"], addedBy: { Ready: "AMover", Review: null } },
+                            "1402425337000": { removed: ["Ready"], removedBy: { Ready: "AShaker" } }
+                        },
+                        current: ["Review"]
+                    }
+                },
+                issueStates: {
+                    "1": [{ event: "opened", timestamp: 1402425200000, actor: "AUser" }],
+                    "2": [
+                        { event: "opened", timestamp: 1402425200000, actor: "AUser" },
+                        { event: "closed", timestamp: 1402425300000, actor: "AReviewer", reason: "completed" },
+                        { event: "reopened", timestamp: 1402425300000, actor: "AUser" },
+                        { event: "merged", timestamp: 1402425337000, actor: null }
+                    ]
+                },
+                issueMilestones: {
+                    "2": {
+                        changes: {
+                            "1402425200000": { added: ["Release 1"], addedBy: { "Release 1": "APlanner" } },
+                            "1402425300000": {
+                                added: ["Release 2"],
+                                addedBy: { "Release 2": "APlanner" },
+                                removed: ["Release 1"],
+                                removedBy: { "Release 1": "APlanner" }
+                            }
+                        },
+                        current: ["Release 2"]
+                    }
+                },
+                issueAssignees: {
+                    "1": {
+                        changes: { "1402425200000": { added: ["AUser", "AReviewer"], addedBy: { AUser: null, AReviewer: "AUser" } } },
+                        current: ["AUser", "AReviewer"]
+                    },
+                    "3": { changes: {}, current: [] }
+                },
+                pullRequests: {
+                    "2": { latestAssigneeComment: 1402425337000 },
+                    "3": {}
+                }
+            },
+            db: {
+                timestamp: 1402425337000,
+                etags: { "https://api.github.com/repos/my/repo/issues?page=1": { etag: "\"abc\"" } },
+                issues: {
+                    "1": { number: 1, title: "An issue", user: "AUser", type: "issue", state: "open", labels: ["Review", "bug"],
+                           assignees: [], createdAt: 1402425200000, updatedAt: 1402425337000 },
+                    "2": { number: 2, title: "A PR", user: "AUser", type: "pull", state: "closed", labels: [],
+                           assignees: ["AReviewer"], requestedReviewers: [], milestone: "1.0",
+                           createdAt: 1402425200000, updatedAt: 1402425337000, closedAt: 1402425337000,
+                           mergedAt: 1402425337000, comments: 2 },
+                    "3": { number: 3, title: "Another PR", user: "AUser", type: "pull", state: "open", labels: [],
+                           assignees: [], requestedReviewers: ["AReviewer"], createdAt: 1402425200000,
+                           updatedAt: 1402425300000, closedAt: null, mergedAt: null }
+                },
+                comments: {
+                    "3": [{ user: "AReviewer", created: 1402425250000 }, { user: "AUser", created: 1402425300000 }]
+                }
+            }
+        };
+    });
+
+    afterEach(function () {
+        fs.readdirSync(dir).forEach(function (filename) {
+            fs.unlinkSync(path.join(dir, filename));
+        });
+        fs.rmdirSync(dir);
+    });
+
+    function createJSONStore() {
+        var store = new data_store.JSONStore(config, dir);
+        store.legacyDBFile = path.join(dir, "legacyIssues.json");
+        return store;
+    }
+
+    describe("createStore", function () {
+        it("should default to the JSON store", function () {
+            expect(data_store.createStore(config, dir) instanceof data_store.JSONStore).toBe(true);
+            expect(data_store.createStore(_.extend({ database: "sqlite" }, config), dir) instanceof data_store.SQLiteStore).toBe(true);
+            expect(function () {
+                data_store.createStore(_.extend({ database: "mongo" }, config), dir);
+            }).toThrow("Unknown database: mongo. Must be one of: json, sqlite");
+        });
+    });
+
+    describe("JSONStore", function () {
+        it("should save and load the log and issue database", function (done) {
+            var store = createJSONStore();
+            expect(store.files).toEqual(["log.json", "allIssues.json"]);
+            expect(store.dbFile).toBe(path.join(dir, "allIssues.json"));
+            store.load()
+                .then(function (empty) {
+                    expect(empty).toEqual({ log: {}, db: {} });
+                    return store.save(data);
+                })
+                .then(function () {
+                    return store.load();
+                })
+                .then(function (loaded) {
+                    expect(loaded).toEqual(data);
+                    done();
+                });
+        });
+
+        it("should read each repo's part, and keep the repos it isn't given when saving", function (done) {
+            config = { repos: ["my/repo"] };
+            var store = createJSONStore(),
+                otherRepo = { log: { timestamp: 1 }, db: { issues: {} } };
+            fs.writeFileSync(store.logFile, JSON.stringify({ repos: { "my/repo": data.log, "my/old-repo": otherRepo.log } }));
+            fs.writeFileSync(store.dbFile, JSON.stringify({ repos: { "my/repo": data.db, "my/old-repo": otherRepo.db } }));
+            store.loadRepo("my/repo", { issues: "open" })
+                .then(function (repoData) {
+                    expect(repoData).toEqual(data);
+                    repoData.log.timestamp = 1402425400000;
+                    return store.save({ log: { repos: { "my/repo": repoData.log } }, db: { repos: { "my/repo": repoData.db } } });
+                })
+                .then(function () {
+                    return store.saveIssues({ repos: { "my/repo": { issues: {} } } });
+                })
+                .then(function () {
+                    var log = JSON.parse(fs.readFileSync(store.logFile, "utf8")),
+                        db = JSON.parse(fs.readFileSync(store.dbFile, "utf8"));
+                    expect(log.repos["my/repo"].timestamp).toBe(1402425400000);
+                    expect(log.repos["my/old-repo"]).toEqual(otherRepo.log);
+                    expect(db.repos["my/repo"]).toEqual({ issues: {} });
+                    expect(db.repos["my/old-repo"]).toEqual(otherRepo.db);
+                    done();
+                });
+        });
+
+        it("should move the files under repos when the config switches from repo to repos", function (done) {
+            config = { repo: "my/repo", repos: ["my/repo", "my/other-repo"] };
+            var store = createJSONStore();
+            fs.writeFileSync(store.logFile, JSON.stringify(data.log));
+            fs.writeFileSync(store.dbFile, JSON.stringify(data.db));
+            store.loadRepo("my/repo", { issues: "open" })
+                .then(function (repoData) {
+                    expect(repoData).toEqual(data);
+                    return store.save({ log: { repos: { "my/repo": repoData.log } }, db: { repos: { "my/repo": repoData.db } } });
+                })
+                .then(function () {
+                    expect(JSON.parse(fs.readFileSync(store.logFile, "utf8"))).toEqual({ repos: { "my/repo": data.log } });
+                    expect(JSON.parse(fs.readFileSync(store.dbFile, "utf8"))).toEqual({ repos: { "my/repo": data.db } });
+                    done();
+                });
+        });
+
+        it("should move the issue database from the working directory into storage", function (done) {
+            var store = createJSONStore();
+            fs.writeFileSync(store.legacyDBFile, JSON.stringify(data.db));
+            store.load()
+                .then(function (loaded) {
+                    expect(loaded.db).toEqual(data.db);
+                    return store.save(loaded);
+                })
+                .then(function () {
+                    expect(JSON.parse(fs.readFileSync(store.dbFile, "utf8"))).toEqual(data.db);
+                    fs.writeFileSync(store.legacyDBFile, "{}");
+                    return store.load();
+                })
+                .then(function (loaded) {
+                    // Once it's in storage, the old copy is ignored.
+                    expect(loaded.db).toEqual(data.db);
+                    done();
+                });
+        });
+    });
+
+    describe("SQLiteStore", function () {
+        var store;
+
+        beforeEach(function () {
+            store = new data_store.SQLiteStore(config, dir);
+        });
+
+        afterEach(function (done) {
+            store.close().then(done);
+        });
+
+        function reopen() {
+            return store.close().then(function () {
+                store = new data_store.SQLiteStore(config, dir);
+                return store.load();
+            });
+        }
+
+        function query(sql) {
+            return store._query("all", sql);
+        }
+
+        it("should save the data in tables and load it back", function (done) {
+            expect(store.files).toEqual(["tracker.db"]);
+            store.load()
+                .then(function (empty) {
+                    expect(empty).toEqual({
+                        log: { issueLabels: {}, issueStates: {}, issueMilestones: {}, issueAssignees: {}, pullRequests: {} },
+                        db: { issues: {} }
+                    });
+                    return store.save(data);
+                })
+                .then(reopen)
+                .then(function (loaded) {
+                    expect(loaded).toEqual(data);
+                    return Promise.join(query("SELECT issue, timestamp, label, action, actor FROM label_changes ORDER BY timestamp, label"),
+                                        query("SELECT number, type, milestone, closed_at FROM issues ORDER BY number"),
+                                        query("SELECT field, issue, value, action FROM value_changes WHERE field = 'milestone' " +
+                                              "ORDER BY timestamp, action"));
+                })
+                .spread(function (labelChanges, issues, milestoneChanges) {
+                    expect(labelChanges).toEqual([
+                        { issue: 1, timestamp: 1402425300000, label: "Ready", action: "added", actor: "AMover" },
+                        { issue: 1, timestamp: 1402425300000, label: "Review", action: "added", actor: null },
+                        { issue: 1, timestamp: 1402425337000, label: "Ready", action: "removed", actor: "AShaker" }
+                    ]);
+                    expect(issues).toEqual([
+                        { number: 1, type: "issue", milestone: null, closed_at: null },
+                        { number: 2, type: "pull", milestone: "1.0", closed_at: 1402425337000 },
+                        { number: 3, type: "pull", milestone: null, closed_at: null }
+                    ]);
+                    expect(milestoneChanges).toEqual([
+                        { field: "milestone", issue: 2, value: "Release 1", action: "added" },
+                        { field: "milestone", issue: 2, value: "Release 2", action: "added" },
+                        { field: "milestone", issue: 2, value: "Release 1", action: "removed" }
+                    ]);
+                    done();
+                });
+        });
+
+        it("should only write the rows that changed", function (done) {
+            store.load()
+                .then(function () {
+                    return store.save(data);
+                })
+                .then(function () {
+                    var statements = [],
+                        query = store._query;
+                    store._query = function (method, sql) {
+                        if (method === "run") {
+                            statements.push(sql.split(" (")[0]);
+                        }
+                        return query.apply(store, arguments);
+                    };
+                    data.db.issues["1"].state = "closed";
+                    delete data.log.pullRequests["3"];
+                    return store.save(data).then(function () {
+                        return statements;
+                    });
+                })
+                .then(function (statements) {
+                    expect(statements).toEqual([
+                        "BEGIN",
+                        "INSERT OR REPLACE INTO issues",
+                        "DELETE FROM pr_activity WHERE repo = ? AND number = ?",
+                        "COMMIT"
+                    ]);
+                    return reopen();
+                })
+                .then(function (loaded) {
+                    expect(loaded).toEqual(data);
+                    done();
+                });
+        });
+
+        it("should compare with what's in the database when saving, rather than what was loaded", function (done) {
+            store.load()
+                .then(function () {
+                    return store.save(data);
+                })
+                .then(function () {
+                    return store._query("run", "DELETE FROM issues WHERE number = 1");
+                })
+                .then(function () {
+                    return store.save(data);
+                })
+                .then(reopen)
+                .then(function (loaded) {
+                    expect(loaded).toEqual(data);
+                    done();
+                });
+        });
+
+        it("should only read the open issues and the ones asked for", function (done) {
+            store.save(data)
+                .then(function () {
+                    store = new data_store.SQLiteStore(config, dir);
+                    return store.loadRepo("my/repo", { issues: "open" });
+                })
+                .then(function (repoData) {
+                    expect(Object.keys(repoData.db.issues)).toEqual(["1", "3"]);
+                    expect(repoData.db.comments).toEqual(data.db.comments);
+                    expect(repoData.db.etags).toEqual(data.db.etags);
+                    expect(repoData.log.timestamp).toBe(data.log.timestamp);
+                    expect(Object.keys(repoData.log.issueStates)).toEqual(["1"]);
+                    expect(repoData.log.issueMilestones).toEqual({});
+                    expect(Object.keys(repoData.log.issueAssignees)).toEqual(["1", "3"]);
+                    // The activity is kept for all the open pull requests, so it's always read.
+                    expect(repoData.log.pullRequests).toEqual(data.log.pullRequests);
+                    return store.loadRepo("my/repo", { issues: [2] });
+                })
+                .then(function (repoData) {
+                    expect(repoData.db.issues).toEqual({ 2: data.db.issues[2] });
+                    expect(repoData.db.comments).toBeUndefined();
+                    expect(repoData.log.issueStates).toEqual({ 2: data.log.issueStates[2] });
+                    expect(repoData.log.issueMilestones).toEqual(data.log.issueMilestones);
+                    done();
+                });
+        });
+
+        it("should read the label and state history of every issue for the stats", function (done) {
+            store.save(data)
+                .then(function () {
+                    store = new data_store.SQLiteStore(config, dir);
+                    return store.loadRepo("my/repo", { issues: "open", history: true });
+                })
+                .then(function (repoData) {
+                    expect(repoData.db.issues[1]).toEqual(data.db.issues[1]);
+                    expect(repoData.db.issues[2]).toEqual(_.omit(data.db.issues[2], "comments"));
+                    expect(repoData.log.issueLabels).toEqual(data.log.issueLabels);
+                    expect(repoData.log.issueStates).toEqual(data.log.issueStates);
+                    expect(repoData.log.issueMilestones).toEqual({});
+                    done();
+                });
+        });
+
+        it("should only replace the issues that were read when saving", function (done) {
+            var statements = [];
+            store.save(data)
+                .then(function () {
+                    store = new data_store.SQLiteStore(config, dir);
+                    return store.loadRepo("my/repo", { issues: "open" });
+                })
+                .then(function (repoData) {
+                    var query = store._query;
+                    store._query = function (method, sql) {
+                        if (method === "run") {
+                            statements.push(sql.split(" (")[0]);
+                        }
+                        return query.apply(store, arguments);
+                    };
+                    repoData.db.issues[3].state = "closed";
+                    delete repoData.db.comments[3];
+                    delete repoData.log.pullRequests[3];
+                    return store.save(repoData);
+                })
+                .then(function () {
+                    expect(statements).toEqual([
+                        "BEGIN",
+                        "INSERT OR REPLACE INTO issues",
+                        "DELETE FROM comments WHERE repo = ? AND issue = ? AND user = ? AND created = ?",
+                        "DELETE FROM comments WHERE repo = ? AND issue = ? AND user = ? AND created = ?",
+                        "DELETE FROM pr_activity WHERE repo = ? AND number = ?",
+                        "COMMIT"
+                    ]);
+                    return reopen();
+                })
+                .then(function (loaded) {
+                    data.db.issues[3].state = "closed";
+                    delete data.db.comments;
+                    delete data.log.pullRequests[3];
+                    expect(loaded).toEqual(data);
+                    done();
+                });
+        });
+
+        it("should add the columns that databases from older versions are missing", function (done) {
+            var sqlite3 = require("sqlite3"),
+                oldDB = new sqlite3.Database(store.filename);
+            oldDB.run("CREATE TABLE label_changes (repo TEXT NOT NULL, issue INTEGER NOT NULL, timestamp INTEGER NOT NULL, " +
+                      "label TEXT NOT NULL, action TEXT NOT NULL, PRIMARY KEY (repo, issue, timestamp, label, action))", function () {
+                oldDB.run("INSERT INTO label_changes VALUES ('my/repo', 1, 5, 'Ready', 'added')", function () {
+                    oldDB.close(function () {
+                        store.load()
+                            .then(function (loaded) {
+                                expect(loaded.log.issueLabels[1].changes).toEqual({
+                                    5: { added: ["Ready"], addedBy: { Ready: null } }
+                                });
+                                return store.save(data);
+                            })
+                            .then(reopen)
+                            .then(function (loaded) {
+                                expect(loaded.log.issueLabels).toEqual(data.log.issueLabels);
+                                done();
+                            });
+                    });
+                });
+            });
+        });
+
+        it("should save the issue database on its own without touching the log", function (done) {
+            store.load()
+                .then(function () {
+                    return store.save(data);
+                })
+                .then(function () {
+                    var db = _.cloneDeep(data.db);
+                    db.checkpoints = { issues: { page: 3 } };
+                    return store.saveIssues(db);
+                })
+                .then(reopen)
+                .then(function (loaded) {
+                    expect(loaded.log).toEqual(data.log);
+                    expect(loaded.db.checkpoints).toEqual({ issues: { page: 3 } });
+                    done();
+                });
+        });
+
+        it("should keep each repo's data separately", function (done) {
+            config = { repos: ["my/repo", "my/other-repo"] };
+            store = new data_store.SQLiteStore(config, dir);
+            var multiData = {
+                log: { repos: { "my/repo": data.log, "my/other-repo": { timestamp: 1 } } },
+                db: { repos: { "my/repo": data.db, "my/other-repo": { issues: {} } } }
+            };
+            store.load()
+                .then(function () {
+                    return store.save(multiData);
+                })
+                .then(reopen)
+                .then(function (loaded) {
+                    expect(loaded.log.repos["my/repo"]).toEqual(data.log);
+                    expect(loaded.log.repos["my/other-repo"]).toEqual({
+                        timestamp: 1,
+                        issueLabels: {},
+                        issueStates: {},
+                        issueMilestones: {},
+                        issueAssignees: {},
+                        pullRequests: {}
+                    });
+                    expect(loaded.db.repos["my/repo"]).toEqual(data.db);
+                    done();
+                });
+        });
+
+        it("should import the JSON files", function (done) {
+            var jsonStore = createJSONStore();
+            jsonStore.save(data)
+                .then(function () {
+                    return data_store.importJSON(jsonStore, store);
+                })
+                .then(function () {
+                    return store.load();
+                })
+                .then(function (loaded) {
+                    expect(loaded).toEqual(data);
+                    done();
+                });
+        });
+    });
+});
@@ -0,0 +1,145 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global expect, describe, it */
+
+"use strict";
+
+var migrations = require("../lib/migrations");
+
+describe("migrations", function () {
+    describe("migrateRepoLog", function () {
+        it("should upgrade an unversioned log", function () {
+            var log = {
+                timestamp: 1402425337000,
+                issueLabels: { "1": { changes: { "1402425337000": { added: ["Ready"] } }, current: ["Ready"] } }
+            };
+            expect(migrations.migrateRepoLog(log)).toBe(true);
+            expect(log).toEqual({
+                schemaVersion: migrations.SCHEMA_VERSION,
+                timestamp: 1402425337000,
+                issueLabels: { "1": { changes: { "1402425337000": { added: ["Ready"], addedBy: { Ready: null } } }, current: ["Ready"] } },
+                pullRequests: {},
+                issueStates: {},
+                issueMilestones: {},
+                issueAssignees: {}
+            });
+        });
+
+        it("should mark who made the changes recorded before actors were tracked as unknown", function () {
+            var log = {
+                schemaVersion: 1,
+                issueLabels: {
+                    "1": {
+                        changes: {
+                            "1": { added: ["Ready", "Review"] },
+                            "2": { added: ["Development"], removed: ["Ready"] }
+                        },
+                        current: ["Review", "Development"]
+                    }
+                },
+                pullRequests: {}
+            };
+            migrations.migrateRepoLog(log);
+            expect(log.issueLabels["1"].changes).toEqual({
+                "1": { added: ["Ready", "Review"], addedBy: { Ready: null, Review: null } },
+                "2": { added: ["Development"], addedBy: { Development: null }, removed: ["Ready"], removedBy: { Ready: null } }
+            });
+        });
+
+        it("should leave a current log alone", function () {
+            var log = { schemaVersion: migrations.SCHEMA_VERSION, issueLabels: {}, pullRequests: {} };
+            expect(migrations.migrateRepoLog(log)).toBe(false);
+            expect(log).toEqual({ schemaVersion: migrations.SCHEMA_VERSION, issueLabels: {}, pullRequests: {} });
+        });
+
+        it("should refuse a log from a newer version of the tracker", function () {
+            var log = { schemaVersion: migrations.SCHEMA_VERSION + 1 };
+            expect(function () {
+                migrations.migrateRepoLog(log, "log.json");
+            }).toThrow("log.json has schema version " + (migrations.SCHEMA_VERSION + 1) +
+                       ", but this version of the tracker only supports up to version " + migrations.SCHEMA_VERSION +
+                       ". Upgrade the tracker before running it again.");
+            expect(log).toEqual({ schemaVersion: migrations.SCHEMA_VERSION + 1 });
+        });
+    });
+
+    describe("migrateLog", function () {
+        it("should upgrade each repo's log and say which ones changed", function () {
+            var log = {
+                repos: {
+                    "my/repo": { schemaVersion: migrations.SCHEMA_VERSION, issueLabels: {}, pullRequests: {} },
+                    "my/old-repo": { timestamp: 1402425337000 }
+                }
+            };
+            expect(migrations.migrateLog({ repos: ["my/repo", "my/old-repo", "my/new-repo"] }, log))
+                .toEqual(["my/old-repo", "my/new-repo"]);
+            expect(log.repos["my/old-repo"].schemaVersion).toBe(migrations.SCHEMA_VERSION);
+            expect(log.repos["my/new-repo"]).toEqual({
+                schemaVersion: migrations.SCHEMA_VERSION,
+                issueLabels: {},
+                pullRequests: {},
+                issueStates: {},
+                issueMilestones: {},
+                issueAssignees: {}
+            });
+        });
+
+        it("should upgrade a single repo's log in place", function () {
+            var log = {};
+            expect(migrations.migrateLog({ repo: "my/repo" }, log)).toEqual(["my/repo"]);
+            expect(log.schemaVersion).toBe(migrations.SCHEMA_VERSION);
+        });
+    });
+
+    describe("migrateLayout", function () {
+        var config = { repo: "my/repo", repos: ["my/repo", "my/other-repo"] };
+
+        it("should move a single repo's data under repos", function () {
+            var log = { schemaVersion: migrations.SCHEMA_VERSION, timestamp: 1402425337000, issueLabels: {}, pullRequests: {} };
+            expect(migrations.migrateLayout(config, log)).toBe(true);
+            expect(log).toEqual({
+                repos: {
+                    "my/repo": { schemaVersion: migrations.SCHEMA_VERSION, timestamp: 1402425337000, issueLabels: {}, pullRequests: {} }
+                }
+            });
+        });
+
+        it("should leave data that's already under repos alone", function () {
+            var log = { repos: { "my/other-repo": { timestamp: 1402425337000 } } };
+            expect(migrations.migrateLayout(config, log)).toBe(false);
+            expect(migrations.migrateLayout({ repo: "my/repo" }, { timestamp: 1402425337000 })).toBe(false);
+            expect(log).toEqual({ repos: { "my/other-repo": { timestamp: 1402425337000 } } });
+        });
+
+        it("should refuse to guess which repo the data is from", function () {
+            expect(function () {
+                migrations.migrateLayout({ repos: ["my/repo"] }, { timestamp: 1402425337000 });
+            }).toThrow("The log is from tracking a single repo. To carry on from it, set repo to that repo, " +
+                       "and list it in repos as well.");
+            expect(function () {
+                migrations.migrateLayout(config, { timestamp: 1, repos: { "my/repo": { timestamp: 2 } } }, "The issue database");
+            }).toThrow("The issue database has data for my/repo both from tracking it on its own and in repos. Remove one of them.");
+        });
+    });
+});
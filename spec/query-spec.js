@@ -0,0 +1,209 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global expect, describe, it, beforeEach, afterEach, createSpy, waitsFor */
+
+"use strict";
+
+var query = require("lib/query"),
+    _ = require("lodash");
+
+describe("query", function () {
+    var config,
+        data;
+
+    beforeEach(function () {
+        config = {
+            repo: "my/repo",
+            labels: ["Ready", "Development", "Testing"]
+        };
+        data = {
+            log: {
+                timestamp: 1402617600000,
+                issueLabels: {
+                    1234: {
+                        changes: {
+                            1402394400000: { added: ["Ready"] },
+                            1402480800000: { added: ["Development"], removed: ["Ready"] },
+                            1402567200000: { added: ["Testing"], removed: ["Development"] }
+                        },
+                        current: ["Testing"]
+                    },
+                    1235: {
+                        changes: {
+                            1402480800000: { added: ["Testing"] }
+                        },
+                        current: ["Testing"]
+                    }
+                }
+            },
+            db: {
+                issues: {
+                    1234: { number: 1234, title: "Fix the frobbitz" },
+                    1235: { number: 1235, title: "Frammis" },
+                    1236: { number: 1236, title: "Not on the board" }
+                }
+            }
+        };
+    });
+
+    describe("labelsAt", function () {
+        it("should replay the changes up to and including the given time", function () {
+            var labelHistory = data.log.issueLabels[1234];
+            expect(query.labelsAt(labelHistory, 1402394399999)).toEqual([]);
+            expect(query.labelsAt(labelHistory, 1402394400000)).toEqual(["Ready"]);
+            expect(query.labelsAt(labelHistory, 1402500000000)).toEqual(["Development"]);
+            expect(query.labelsAt(undefined, 1402500000000)).toEqual([]);
+        });
+    });
+
+    describe("stateAt", function () {
+        it("should replay the state changes up to and including the given time", function () {
+            var stateHistory = [
+                { event: "opened", timestamp: 100, actor: "alice" },
+                { event: "closed", timestamp: 200, actor: "bob" }
+            ];
+            expect(query.stateAt(stateHistory, 99)).toBe(null);
+            expect(query.stateAt(stateHistory, 199)).toBe("open");
+            expect(query.stateAt(stateHistory, 200)).toBe("closed");
+            expect(query.stateAt(undefined, 200)).toBe(null);
+        });
+    });
+
+    describe("boardAt", function () {
+        it("should list the issues with tracked labels, optionally only the ones with a given label", function () {
+            expect(query.boardAt(data.log, 1402500000000)).toEqual([
+                { issue: 1234, labels: ["Development"] },
+                { issue: 1235, labels: ["Testing"] }
+            ]);
+            expect(query.boardAt(data.log, 1402600000000, "Testing")).toEqual([
+                { issue: 1234, labels: ["Testing"] },
+                { issue: 1235, labels: ["Testing"] }
+            ]);
+        });
+
+        it("should leave out issues that were closed at the given time, even if they kept their labels", function () {
+            data.log.issueStates = {
+                1235: [
+                    { event: "opened", timestamp: 1402394400000, actor: "alice" },
+                    { event: "closed", timestamp: 1402500000000, actor: "bob" }
+                ]
+            };
+            expect(query.boardAt(data.log, 1402499999999, "Testing")).toEqual([
+                { issue: 1235, labels: ["Testing"] }
+            ]);
+            expect(query.boardAt(data.log, 1402600000000, "Testing")).toEqual([
+                { issue: 1234, labels: ["Testing"] }
+            ]);
+        });
+    });
+
+    describe("parseTime", function () {
+        it("should accept timestamps, dates and times", function () {
+            expect(query.parseTime("1402394400000")).toBe(1402394400000);
+            expect(query.parseTime("2014-06-10T10:00:00Z")).toBe(1402394400000);
+            expect(query.parseTime("2014-06-10")).toBe(Date.parse("2014-06-10T23:59:59.999Z"));
+        });
+
+        it("should reject anything else", function () {
+            expect(function () {
+                query.parseTime("last Friday");
+            }).toThrow();
+        });
+    });
+
+    describe("parseArgs", function () {
+        it("should read the options", function () {
+            expect(query.parseArgs(["--issue", "#1234", "--at", "2014-06-10", "--json"])).toEqual({
+                at: Date.parse("2014-06-10T23:59:59.999Z"),
+                issue: 1234,
+                label: null,
+                repo: null,
+                json: true
+            });
+        });
+
+        it("should reject unknown options and missing values", function () {
+            expect(function () {
+                query.parseArgs(["--when", "2014-06-10"]);
+            }).toThrow("Unknown option --when. Must be one of: --at, --issue, --label, --repo, --json");
+            expect(function () {
+                query.parseArgs(["--label"]);
+            }).toThrow("Missing value for --label");
+        });
+
+        it("should reject issues that aren't numbers", function () {
+            expect(function () {
+                query.parseArgs(["--issue", "abc"]);
+            }).toThrow("Couldn't understand the issue abc. Use an issue number like 1234 or #1234.");
+            expect(function () {
+                query.parseArgs(["--issue", "12abc"]);
+            }).toThrow();
+        });
+    });
+
+    describe("runQuery", function () {
+        it("should print the board as a table", function () {
+            expect(query.runQuery(config, data, ["--at", "2014-06-11"])).toBe([
+                "Labels at 2014-06-11T23:59:59Z",
+                "",
+                "Issue  Labels       Title",
+                "-----  -----------  ----------------",
+                "#1234  Development  Fix the frobbitz",
+                "#1235  Testing      Frammis"
+            ].join("\n"));
+        });
+
+        it("should print one issue's labels as JSON", function () {
+            expect(JSON.parse(query.runQuery(config, data, ["--issue", "1234", "--at", "1402394400000", "--json"]))).toEqual({
+                at: "2014-06-10T10:00:00Z",
+                timestamp: 1402394400000,
+                issues: [{ repo: "my/repo", issue: 1234, labels: ["Ready"], title: "Fix the frobbitz" }]
+            });
+        });
+
+        it("should show which repo each issue is in when tracking several", function () {
+            var multiConfig = _.extend({}, config, { repos: ["my/repo", "my/other-repo"] }),
+                multiData = {
+                    log: { repos: { "my/repo": data.log } },
+                    db: { repos: { "my/repo": data.db } }
+                },
+                output = query.runQuery(multiConfig, multiData, ["--label", "Ready", "--at", "2014-06-10"]);
+            expect(output.split("\n")[2]).toBe("Repo     Issue  Labels  Title");
+            expect(output.split("\n")[4]).toBe("my/repo  #1234  Ready   Fix the frobbitz");
+            expect(function () {
+                query.runQuery(multiConfig, multiData, ["--repo", "my/third-repo"]);
+            }).toThrow("Not tracking my/third-repo. Must be one of: my/repo, my/other-repo");
+        });
+
+        it("should find a label by one of its aliases", function () {
+            var aliasConfig = _.extend({}, config, { labelAliases: { "In Development": "Development" } });
+            expect(query.runQuery(aliasConfig, data, ["--label", "In Development", "--at", "2014-06-11"]).split("\n")[4])
+                .toBe("#1234  Development  Fix the frobbitz");
+        });
+
+        it("should say so when nothing matches", function () {
+            expect(query.runQuery(config, data, ["--issue", "999", "--at", "2014-06-11"])).toBe("No matching issues at 2014-06-11T23:59:59Z");
+        });
+    });
+});
@@ -672,6 +672,34 @@ describe("sortIntoSections", function () {
     });
 });
 
+describe("getPRState", function () {
+    var config = {
+        triageCompleteLabel: "PR Triage Complete"
+    };
+    
+    it("should be new if nobody has picked it up", function () {
+        expect(report_utils.getPRState({ assignee: null, assignees: [], labels: [] }, config)).toBe(report_utils.PR_STATE_NEW);
+    });
+    
+    it("should be triaged if the triage complete label is set but nobody has picked it up", function () {
+        expect(report_utils.getPRState({ assignees: [], labels: ["PR Triage Complete"] }, config)).toBe(report_utils.PR_STATE_TRIAGED);
+    });
+    
+    it("should be in triage if any assignee or requested reviewer has picked it up", function () {
+        expect(report_utils.getPRState({ assignee: "TheAssignee", labels: [] }, config)).toBe(report_utils.PR_STATE_IN_TRIAGE);
+        expect(report_utils.getPRState({ assignees: [], requestedReviewers: ["AReviewer"], labels: [] }, config)).toBe(report_utils.PR_STATE_IN_TRIAGE);
+    });
+    
+    it("should be in review once it's triaged and picked up", function () {
+        expect(report_utils.getPRState({ assignees: ["One", "Two"], labels: ["PR Triage Complete"] }, config)).toBe(report_utils.PR_STATE_IN_REVIEW);
+    });
+    
+    it("should recognize the triage complete label under its other names", function () {
+        var aliasedConfig = _.extend({ labelAliases: { "Triaged": "PR Triage Complete" } }, config);
+        expect(report_utils.getPRState({ assignees: [], labels: ["Triaged"] }, aliasedConfig)).toBe(report_utils.PR_STATE_TRIAGED);
+    });
+});
+
 describe("getOpenPullRequests", function () {
     it("should find return a collection of only pull requests that are open", function () {
         var db = {
@@ -750,4 +778,164 @@ describe("generateStatistics", function () {
             available: 6
         });
     });
-});
\ No newline at end of file
+});
+describe("getAgingWorkInProgress", function () {
+    var day = 24 * 60 * 60 * 1000,
+        now = Date.parse("2014-06-30T00:00:00Z"),
+        config,
+        db,
+        log;
+    
+    function addIssue(number, state, labels, changes, closedAt) {
+        db.issues[number] = {
+            number: number,
+            title: "Issue " + number,
+            type: "issue",
+            state: state,
+            user: "UserThatCreated",
+            labels: labels,
+            closedAt: closedAt
+        };
+        log.issueLabels[number] = { changes: changes, current: labels };
+    }
+    
+    beforeEach(function () {
+        config = {
+            repo: "my/repo",
+            labels: ["Ready", "Development", "Review"],
+            developmentLabels: ["Development", "Review"],
+            workflow: ["Ready", "Development", "Review"]
+        };
+        db = { issues: {} };
+        log = { issueLabels: {} };
+        
+        // Finished issues with cycle times of 5, 10 and 20 days.
+        [5, 10, 20].forEach(function (days, i) {
+            var changes = {};
+            changes[now - 40 * day] = { added: ["Development"] };
+            addIssue(i + 1, "closed", [], changes, now - 40 * day + days * day);
+        });
+    });
+    
+    it("should list open issues in development, oldest first, and mark the ones older than the p85 cycle time", function () {
+        var changes = {};
+        changes[now - 30 * day] = { added: ["Development"] };
+        changes[now - 4 * day] = { added: ["Review"], removed: ["Development"] };
+        addIssue(10, "open", ["Review", "bug"], changes);
+        
+        changes = {};
+        changes[now - 3 * day] = { added: ["Development"] };
+        addIssue(11, "open", ["Development"], changes);
+        
+        changes = {};
+        changes[now - 50 * day] = { added: ["Ready"] };
+        addIssue(12, "open", ["Ready"], changes);
+        
+        expect(report_utils.getAgingWorkInProgress(config, db, log, now)).toEqual({
+            cycleTimeP85: 20 * day,
+            issues: [
+                {
+                    id: 10,
+                    title: "Issue 10",
+                    user: "UserThatCreated",
+                    column: "Review",
+                    timeInColumn: 4 * day,
+                    age: 30 * day,
+                    aging: true
+                },
+                {
+                    id: 11,
+                    title: "Issue 11",
+                    user: "UserThatCreated",
+                    column: "Development",
+                    timeInColumn: 3 * day,
+                    age: 3 * day,
+                    aging: false
+                }
+            ]
+        });
+    });
+    
+    it("should not mark anything as aging before any issues are finished", function () {
+        var changes = {};
+        changes[now - 30 * day] = { added: ["Development"] };
+        db.issues = {};
+        addIssue(10, "open", ["Development"], changes);
+        
+        var wip = report_utils.getAgingWorkInProgress(config, db, log, now);
+        expect(wip.cycleTimeP85).toBeNull();
+        expect(wip.issues[0].aging).toBe(false);
+    });
+    
+    it("should highlight aging issues in the report", function () {
+        var changes = {};
+        changes[now - 30 * day] = { added: ["Development"] };
+        addIssue(10, "open", ["Development"], changes);
+        
+        var report = report_utils.generateReport(config, db, log);
+        expect(report).toContain("Aging Work in Progress");
+        expect(report).toContain("<tr class=\"aging\">");
+        expect(report).toContain("https://github.com/my/repo/issues/10");
+    });
+});
+
+describe("generateReport", function () {
+    function makeDB(number, title) {
+        var db = {
+            issues: {}
+        };
+        db.issues[number] = {
+            number: number,
+            title: title,
+            type: "pull",
+            state: "open",
+            user: "UserThatCreated",
+            assignee: null,
+            labels: [],
+            createdAt: Date.now()
+        };
+        return db;
+    }
+    
+    it("should link to pull requests in a single repo", function () {
+        var config = {
+                repo: "my/repo"
+            },
+            report = report_utils.generateReport(config, makeDB(1352, "Frobbitz fix"), {});
+        
+        expect(report).toContain("https://github.com/my/repo/pull/1352");
+        expect(report).not.toContain("class=\"repo\"");
+        expect(report).not.toContain("Aging Work in Progress");
+    });
+    
+    it("should list all of the assignees and requested reviewers", function () {
+        var config = {
+                repo: "my/repo"
+            },
+            db = makeDB(1352, "Frobbitz fix");
+        db.issues[1352].assignees = ["One", "Two"];
+        db.issues[1352].requestedReviewers = ["Three"];
+        
+        expect(report_utils.generateReport(config, db, {})).toContain("<td>One, Two, Three</td>");
+    });
+    
+    it("should group the sections by repo when tracking several repos", function () {
+        var config = {
+                repos: ["my/repo", "my/other-repo"],
+                git_url: "https://github.example.com/"
+            },
+            db = {
+                repos: {
+                    "my/repo": makeDB(1352, "Frobbitz fix"),
+                    "my/other-repo": makeDB(12, "Hobbitses fix")
+                }
+            },
+            report = report_utils.generateReport(config, db, {});
+        
+        expect(report).toContain("https://github.example.com/my/repo/pull/1352");
+        expect(report).toContain("https://github.example.com/my/other-repo/pull/12");
+        expect(report.indexOf(">my/repo</a>")).toBeLessThan(report.indexOf("Frobbitz fix"));
+        expect(report.indexOf("Frobbitz fix")).toBeLessThan(report.indexOf(">my/other-repo</a>"));
+        expect(report.indexOf(">my/other-repo</a>")).toBeLessThan(report.indexOf("Hobbitses fix"));
+    });
+});
@@ -21,7 +21,7 @@
  *
  */
 
-/*global expect, describe, it, beforeEach, afterEach, createSpy, waitsFor */
+/*global jasmine, expect, describe, it, beforeEach, afterEach, createSpy, waitsFor */
 
 "use strict";
 
@@ -50,6 +50,7 @@ describe("stats", function () {
         };
 
         config = {
+            labels: ["Development"],
             developmentLabels: ["Development"],
             sizeLabels: ["MEDIUM"]
         };
@@ -63,6 +64,12 @@ describe("stats", function () {
         });
     });
     
+    describe("normalizeToBeginningOfWeek", function () {
+        it("should convert a timestamp to a UTC timestamp at the beginning of the week", function () {
+            expect(stats.normalizeToBeginningOfWeek(1411332475895)).toBe(Date.parse("2014-09-15T00:00:00Z"));
+        });
+    });
+    
     describe("Accumulator", function () {
         it("should add a data point", function () {
             var a = new stats.Accumulator();
@@ -94,6 +101,143 @@ describe("stats", function () {
         });
     });
     
+    describe("getWorkflowTimeline", function () {
+        var workflowConfig = {
+            workflow: ["Ready", "Development", "Review", "Testing"]
+        };
+        
+        it("should list the time spent in each column", function () {
+            var timeline = stats.getWorkflowTimeline(workflowConfig, {
+                changes: {
+                    100: { added: ["Ready", "bug"] },
+                    200: { added: ["Development"], removed: ["Ready"] },
+                    300: { added: ["Review"], removed: ["Development"] }
+                }
+            });
+            expect(timeline).toEqual([
+                { column: "Ready", entered: 100, exited: 200 },
+                { column: "Development", entered: 200, exited: 300 },
+                { column: "Review", entered: 300, exited: null }
+            ]);
+        });
+        
+        it("should split the time evenly with the columns a card jumped over, marking them as estimated", function () {
+            var timeline = stats.getWorkflowTimeline(workflowConfig, {
+                changes: {
+                    100: { added: ["Ready"] },
+                    400: { added: ["Testing"], removed: ["Ready"] }
+                }
+            });
+            expect(timeline).toEqual([
+                { column: "Ready", entered: 100, exited: 200, exitEstimated: true },
+                { column: "Development", entered: 200, exited: 300, estimated: true },
+                { column: "Review", entered: 300, exited: 400, estimated: true },
+                { column: "Testing", entered: 400, exited: null }
+            ]);
+        });
+        
+        it("should only share out the earlier column's time when the move was recorded without an actor", function () {
+            var timeline = stats.getWorkflowTimeline(workflowConfig, {
+                changes: {
+                    100: { added: ["Ready"], addedBy: { Ready: "AUser" } },
+                    400: { added: ["Testing"], removed: ["Ready"], addedBy: { Testing: "TheMover" }, removedBy: { Ready: "TheMover" } }
+                }
+            });
+            expect(timeline).toEqual([
+                { column: "Ready", entered: 100, exited: 400 },
+                { column: "Testing", entered: 400, exited: null }
+            ]);
+            
+            timeline = stats.getWorkflowTimeline(workflowConfig, {
+                changes: {
+                    100: { added: ["Ready"], addedBy: { Ready: "AUser" } },
+                    400: { added: ["Testing"], removed: ["Ready"], addedBy: { Testing: null }, removedBy: { Ready: null } }
+                }
+            });
+            expect(timeline[0]).toEqual({ column: "Ready", entered: 100, exited: 200, exitEstimated: true });
+            expect(timeline.length).toBe(4);
+        });
+        
+        it("should fill in skipped columns after the card left the last one", function () {
+            var timeline = stats.getWorkflowTimeline(workflowConfig, {
+                changes: {
+                    100: { added: ["Ready"] },
+                    200: { removed: ["Ready"] },
+                    400: { added: ["Review"] }
+                }
+            });
+            expect(timeline).toEqual([
+                { column: "Ready", entered: 100, exited: 200 },
+                { column: "Development", entered: 200, exited: 400, estimated: true },
+                { column: "Review", entered: 400, exited: null }
+            ]);
+        });
+        
+        it("should not fill in anything when a card moves back, or starts partway through the workflow", function () {
+            var timeline = stats.getWorkflowTimeline(workflowConfig, {
+                changes: {
+                    100: { added: ["Review"] },
+                    200: { added: ["Ready"], removed: ["Review"] }
+                }
+            });
+            expect(timeline).toEqual([
+                { column: "Review", entered: 100, exited: 200 },
+                { column: "Ready", entered: 200, exited: null }
+            ]);
+        });
+        
+        it("should be empty without a workflow or a label history", function () {
+            expect(stats.getWorkflowTimeline({}, issue.labelHistory)).toEqual([]);
+            expect(stats.getWorkflowTimeline(workflowConfig)).toEqual([]);
+        });
+    });
+    
+    describe("getLabelTimeline", function () {
+        it("should add the tracked labels that aren't workflow columns to the workflow timeline", function () {
+            config.labels = ["Ready", "Development", "Review", "Blocked"];
+            config.workflow = ["Ready", "Development", "Review"];
+            expect(stats.getLabelTimeline(config, {
+                changes: {
+                    100: { added: ["Ready", "bug"] },
+                    200: { added: ["Blocked"] },
+                    400: { added: ["Review"], removed: ["Ready", "Blocked"] }
+                }
+            })).toEqual([
+                { column: "Ready", entered: 100, exited: 250, exitEstimated: true },
+                { column: "Blocked", entered: 200, exited: 400 },
+                { column: "Development", entered: 250, exited: 400, estimated: true },
+                { column: "Review", entered: 400, exited: null }
+            ]);
+        });
+        
+        it("should take every tracked label from the changes when there's no workflow", function () {
+            config.labels = ["Development", "Review"];
+            expect(stats.getLabelTimeline(config, {
+                changes: {
+                    100: { added: ["Development", "Review"] },
+                    200: { removed: ["Development"] }
+                }
+            })).toEqual([
+                { column: "Development", entered: 100, exited: 200 },
+                { column: "Review", entered: 100, exited: null }
+            ]);
+        });
+    });
+    
+    describe("wasOnBoard", function () {
+        it("should count columns the card is estimated to have passed through", function () {
+            issue.labelHistory = {
+                changes: {
+                    100: { added: ["Ready"] },
+                    400: { added: ["Review"], removed: ["Ready"] }
+                }
+            };
+            expect(stats.wasOnBoard(config, issue)).toBe(false);
+            issue.timeline = stats.getWorkflowTimeline({ workflow: ["Ready", "Development", "Review"] }, issue.labelHistory);
+            expect(stats.wasOnBoard(config, issue)).toBe(true);
+        });
+    });
+    
     describe("throughput", function () {
         it("should add one for an issue that was on the board and completed", function () {
             stats.throughput(config, issue, accum);
@@ -135,6 +279,403 @@ describe("stats", function () {
                 1411257600000: 1
             });
         });
+        
+        it("should only count merged pull requests", function () {
+            issue.type = "pull";
+            issue.stateHistory = [
+                { event: "opened", timestamp: 1403795900000, actor: "Opener" },
+                { event: "closed", timestamp: 1411332475895, actor: "Closer" }
+            ];
+            stats.throughput(config, issue, accum);
+            expect(accum.data.throughput).toBeUndefined();
+            
+            issue.stateHistory.push({ event: "reopened", timestamp: 1411332475896, actor: "Opener" },
+                                    { event: "merged", timestamp: 1411432475895, actor: "Merger" });
+            stats.throughput(config, issue, accum);
+            expect(accum.data.throughput).toEqual({
+                1411430400000: 1
+            });
+        });
+        
+        it("should count issues when they were last closed, unless they weren't completed", function () {
+            issue.stateHistory = [
+                { event: "opened", timestamp: 1403795900000, actor: "Opener" },
+                { event: "closed", timestamp: 1411232475895, actor: "Closer" },
+                { event: "reopened", timestamp: 1411332475895, actor: "Opener" }
+            ];
+            stats.throughput(config, issue, accum);
+            expect(accum.data.throughput).toBeUndefined();
+            
+            issue.stateHistory.push({ event: "closed", timestamp: 1411432475895, actor: "Closer", reason: "not_planned" });
+            stats.throughput(config, issue, accum);
+            expect(accum.data.throughput).toBeUndefined();
+            
+            issue.stateHistory[3].reason = "completed";
+            stats.throughput(config, issue, accum);
+            expect(accum.data.throughput).toEqual({
+                1411430400000: 1
+            });
+        });
+    });
+    
+    describe("whenCompleted", function () {
+        it("should fall back to when the issue was closed, or when a pull request was merged", function () {
+            expect(stats.whenCompleted(issue)).toBe(1411332475895);
+            issue.type = "pull";
+            issue.mergedAt = null;
+            expect(stats.whenCompleted(issue)).toBeNull();
+            issue.mergedAt = 1411332475000;
+            expect(stats.whenCompleted(issue)).toBe(1411332475000);
+        });
+    });
+    
+    describe("reopens", function () {
+        it("should count each time an issue on the board was reopened", function () {
+            issue.stateHistory = [
+                { event: "opened", timestamp: 1403795900000, actor: "Opener" },
+                { event: "closed", timestamp: 1411232475895, actor: "Closer" },
+                { event: "reopened", timestamp: 1411332475895, actor: "Opener" },
+                { event: "closed", timestamp: 1411332476895, actor: "Closer" },
+                { event: "reopened", timestamp: 1411332477895, actor: "Opener" }
+            ];
+            stats.reopens(config, issue, accum);
+            expect(accum.data.reopened).toEqual({
+                1411257600000: 2
+            });
+        });
+        
+        it("should not count issues that were not on the board", function () {
+            issue.labelHistory = undefined;
+            issue.stateHistory = [{ event: "reopened", timestamp: 1411332475895, actor: "Opener" }];
+            stats.reopens(config, issue, accum);
+            expect(accum.data.reopened).toBeUndefined();
+        });
+    });
+    
+    describe("whenStarted", function () {
+        it("should find the first time the issue got a development label", function () {
+            issue.labelHistory.changes["1403705923000"] = { added: ["Ready"] };
+            issue.labelHistory.changes["1403895923000"] = { removed: ["Development"], added: ["Development"] };
+            expect(stats.whenStarted(config, issue)).toBe(1403795923000);
+        });
+        
+        it("should count estimated entries into development columns from the timeline", function () {
+            issue.timeline = [
+                { column: "Ready", entered: 1403705923000, exited: 1403745923000 },
+                { column: "Development", entered: 1403745923000, exited: 1403795923000, estimated: true }
+            ];
+            expect(stats.whenStarted(config, issue)).toBe(1403745923000);
+        });
+        
+        it("should return null if work never started", function () {
+            issue.labelHistory.changes = { "1403795923000": { added: ["Ready"] } };
+            expect(stats.whenStarted(config, issue)).toBeNull();
+        });
+    });
+    
+    describe("getIssueTimes", function () {
+        it("should measure cycle time from the start of work and lead time from creation", function () {
+            issue.createdAt = 1403695923000;
+            issue.labels = ["MEDIUM"];
+            expect(stats.getIssueTimes(config, issue)).toEqual({
+                completed: 1411332475895,
+                size: "MEDIUM",
+                cycleTime: 1411332475895 - 1403795923000,
+                leadTime: 1411332475895 - 1403695923000
+            });
+        });
+        
+        it("should skip issues that aren't finished", function () {
+            delete issue.closedAt;
+            expect(stats.getIssueTimes(config, issue)).toBeNull();
+        });
+    });
+    
+    describe("whenEntered", function () {
+        it("should find the last time the issue entered the column", function () {
+            issue.labelHistory.changes["1403895923000"] = { removed: ["Development"] };
+            issue.labelHistory.changes["1403995923000"] = { added: ["Development"] };
+            expect(stats.whenEntered(config, issue, "Development")).toBe(1403995923000);
+            expect(stats.whenEntered(config, issue, "Review")).toBeNull();
+        });
+        
+        it("should use the estimated time for a column the issue jumped over", function () {
+            config.labels = config.workflow = ["Ready", "Development", "Review"];
+            issue.labelHistory = { changes: { 100: { added: ["Ready"] }, 400: { added: ["Review"], removed: ["Ready"] } } };
+            expect(stats.whenEntered(config, issue, "Development")).toBe(250);
+        });
+    });
+    
+    describe("historicalCycleTime", function () {
+        it("should find a percentile of the cycle times of all finished issues", function () {
+            var unfinished = _.clone(issue);
+            delete unfinished.closedAt;
+            expect(stats.historicalCycleTime(config, [issue, unfinished], 85)).toBe(1411332475895 - 1403795923000);
+            expect(stats.historicalCycleTime(config, [unfinished], 85)).toBeNull();
+        });
+    });
+    
+    describe("percentile", function () {
+        it("should use the nearest rank", function () {
+            var values = [5, 1, 4, 2, 3, 6, 7, 8, 9, 10];
+            expect(stats.percentile(values, 50)).toBe(5);
+            expect(stats.percentile(values, 85)).toBe(9);
+            expect(stats.percentile(values, 95)).toBe(10);
+            expect(stats.percentile([], 50)).toBeNull();
+        });
+    });
+    
+    describe("rollingPercentiles", function () {
+        var week1 = Date.parse("2014-09-01T00:00:00Z"),
+            week2 = Date.parse("2014-09-08T00:00:00Z"),
+            week4 = Date.parse("2014-09-22T00:00:00Z"),
+            issueTimes;
+        
+        beforeEach(function () {
+            config.rollingWeeks = 2;
+            issueTimes = [
+                { completed: week1 + 1000, size: "MEDIUM", cycleTime: 10 },
+                { completed: week2 + 1000, size: null, cycleTime: 20 },
+                { completed: week2 + 2000, size: "MEDIUM", cycleTime: null },
+                { completed: week4 + 1000, size: "MEDIUM", cycleTime: 40 }
+            ];
+        });
+        
+        it("should summarize each week over the trailing window, overall and by size", function () {
+            expect(stats.rollingPercentiles(config, issueTimes, "cycleTime")).toEqual({
+                all: {
+                    1409529600000: { count: 1, p50: 10, p85: 10, p95: 10 },
+                    1410134400000: { count: 2, p50: 10, p85: 20, p95: 20 },
+                    1410739200000: { count: 1, p50: 20, p85: 20, p95: 20 },
+                    1411344000000: { count: 1, p50: 40, p85: 40, p95: 40 }
+                },
+                MEDIUM: {
+                    1409529600000: { count: 1, p50: 10, p85: 10, p95: 10 },
+                    1410134400000: { count: 1, p50: 10, p85: 10, p95: 10 },
+                    1411344000000: { count: 1, p50: 40, p85: 40, p95: 40 }
+                }
+            });
+        });
+        
+        it("should return nothing when no issues have the time", function () {
+            expect(stats.rollingPercentiles(config, issueTimes, "leadTime")).toEqual({});
+        });
+    });
+    
+    describe("timeInColumns", function () {
+        var hour = 3600 * 1000,
+            start = Date.parse("2014-06-01T00:00:00Z");
+        
+        beforeEach(function () {
+            config.labels = ["Development", "Review", "Testing"];
+            issue = {
+                labelHistory: { changes: {} },
+                stateHistory: [{ event: "opened", timestamp: start }]
+            };
+            issue.labelHistory.changes[start] = { added: ["Development", "bug"] };
+            issue.labelHistory.changes[start + 2 * hour] = { added: ["Review"] };
+            issue.labelHistory.changes[start + 3 * hour] = { removed: ["Development"] };
+            issue.labelHistory.changes[start + 7 * hour] = { added: ["Development"] };
+        });
+        
+        it("should time overlapping labels separately and count open issues up to the given time", function () {
+            expect(stats.timeInColumns(config, issue, start + 10 * hour)).toEqual({
+                Development: 6 * hour,
+                Review: 8 * hour
+            });
+        });
+        
+        it("should stop counting when the issue was closed", function () {
+            issue.stateHistory.push({ event: "closed", timestamp: start + 8 * hour });
+            issue.labelHistory.changes[start + 9 * hour] = { removed: ["Review", "Development"] };
+            expect(stats.timeInColumns(config, issue, start + 10 * hour)).toEqual({
+                Development: 4 * hour,
+                Review: 6 * hour
+            });
+        });
+        
+        it("should count the estimated time in columns the issue jumped over", function () {
+            config.workflow = ["Development", "Review", "Testing"];
+            issue.labelHistory.changes = {};
+            issue.labelHistory.changes[start] = { added: ["Development"] };
+            issue.labelHistory.changes[start + 6 * hour] = { added: ["Testing"], removed: ["Development"] };
+            expect(stats.timeInColumns(config, issue, start + 10 * hour)).toEqual({
+                Development: 3 * hour,
+                Review: 3 * hour,
+                Testing: 4 * hour
+            });
+        });
+        
+        it("should use closedAt without a state history", function () {
+            delete issue.stateHistory;
+            issue.closedAt = start + 4 * hour;
+            expect(stats.timeInColumns(config, issue, start + 10 * hour)).toEqual({
+                Development: 3 * hour,
+                Review: 2 * hour
+            });
+        });
+    });
+    
+    describe("summarizeTimeInColumns", function () {
+        it("should give the median, 85th percentile and longest time for each label", function () {
+            config.labels = ["Development", "Review", "Testing"];
+            expect(stats.summarizeTimeInColumns(config, [
+                { Development: 10, Review: 5 },
+                { Development: 30 },
+                { Development: 20, Review: 0 }
+            ])).toEqual({
+                Development: { count: 3, p50: 20, p85: 30, max: 30 },
+                Review: { count: 2, p50: 0, p85: 5, max: 5 }
+            });
+        });
+    });
+    
+    describe("cumulativeFlow", function () {
+        var day1 = Date.parse("2014-06-01T00:00:00Z"),
+            day2 = Date.parse("2014-06-02T00:00:00Z"),
+            day3 = Date.parse("2014-06-03T00:00:00Z"),
+            issues;
+        
+        beforeEach(function () {
+            config.labels = ["Testing", "Review", "Development"];
+            config.workflow = ["Development", "Review", "Testing"];
+            issues = [
+                {
+                    labelHistory: { changes: {
+                        1401616800000: { added: ["Development"] },
+                        1401703200000: { added: ["Review"], removed: ["Development"] }
+                    } }
+                },
+                {
+                    labelHistory: { changes: {
+                        1401620400000: { added: ["Development", "Testing", "bug"] },
+                        1401624000000: { removed: ["Development"] }
+                    } },
+                    stateHistory: [
+                        { event: "opened", timestamp: 1401600000000 },
+                        { event: "closed", timestamp: 1401710400000 }
+                    ]
+                },
+                {
+                    labelHistory: { changes: {
+                        1401796800000: { added: ["Review"] }
+                    } },
+                    closedAt: 1401800400000
+                }
+            ];
+        });
+        
+        it("should count the open issues in each column at the end of each day, in workflow order", function () {
+            var flow = stats.cumulativeFlow(config, issues, Date.parse("2014-06-03T12:00:00Z"));
+            expect(flow.columns).toEqual(["Development", "Review", "Testing"]);
+            expect(flow.days[day1]).toEqual([1, 0, 1]);
+            expect(flow.days[day2]).toEqual([0, 1, 0]);
+            expect(flow.days[day3]).toEqual([0, 1, 0]);
+            expect(Object.keys(flow.days).length).toBe(3);
+        });
+        
+        it("should count the columns an issue is estimated to have passed through", function () {
+            var flow = stats.cumulativeFlow(config, [{
+                labelHistory: { changes: {
+                    1401616800000: { added: ["Development"] },
+                    1401789600000: { added: ["Testing"], removed: ["Development"] }
+                } }
+            }], Date.parse("2014-06-03T12:00:00Z"));
+            expect(flow.days[day1]).toEqual([1, 0, 0]);
+            expect(flow.days[day2]).toEqual([0, 1, 0]);
+            expect(flow.days[day3]).toEqual([0, 0, 1]);
+        });
+        
+        it("should use the tracked labels as columns if there's no workflow", function () {
+            delete config.workflow;
+            expect(stats.cumulativeFlow(config, issues, day1).days[day1]).toEqual([1, 0, 1]);
+        });
+        
+        it("should return no days when there are no label changes", function () {
+            expect(stats.cumulativeFlow(config, [{ labelHistory: { changes: {} } }], day1)).toEqual({
+                columns: ["Development", "Review", "Testing"],
+                days: {}
+            });
+        });
+    });
+    
+    describe("formatCumulativeFlowCSV", function () {
+        var flow = {
+            columns: ["Development", "Review, Testing"],
+            days: {
+                1401667200000: [0, 1],
+                1401580800000: [1, 0]
+            }
+        };
+        
+        it("should write a row for each day", function () {
+            expect(stats.formatCumulativeFlowCSV({ "my/repo": flow }, false)).toBe(
+                "Date,Development,\"Review, Testing\"\n2014-06-01,1,0\n2014-06-02,0,1\n"
+            );
+        });
+        
+        it("should start each row with the repo when asked", function () {
+            expect(stats.formatCumulativeFlowCSV({ "my/repo": flow, "my/other": flow }, true).split("\n")).toEqual([
+                "Repo,Date,Development,\"Review, Testing\"",
+                "my/repo,2014-06-01,1,0",
+                "my/repo,2014-06-02,0,1",
+                "my/other,2014-06-01,1,0",
+                "my/other,2014-06-02,0,1",
+                ""
+            ]);
+        });
+    });
+    
+    describe("generateStats", function () {
+        it("should include the log timestamp, the daily stats and the cycle and lead times", function () {
+            var db = {
+                issues: {
+                    101: issue,
+                    102: { number: 102, type: "issue", labels: ["Development"] }
+                }
+            },
+                log = {
+                    timestamp: 1411432475895,
+                    issueLabels: {
+                        101: issue.labelHistory,
+                        102: { changes: { 1411332475895: { added: ["Development"] } } }
+                    }
+                };
+            
+            issue.number = 101;
+            delete issue.labelHistory;
+            expect(stats.generateStats(config, db, log, 1411532475895)).toEqual({
+                timestamp: 1411432475895,
+                generated: 1411532475895,
+                daily: {
+                    throughput: {
+                        1411257600000: 1
+                    }
+                },
+                issues: {
+                    101: { completed: 1411332475895, size: null, cycleTime: 7536552895, leadTime: null }
+                },
+                cycleTime: {
+                    all: {
+                        1410739200000: { count: 1, p50: 7536552895, p85: 7536552895, p95: 7536552895 }
+                    }
+                },
+                leadTime: {},
+                cumulativeFlow: {
+                    columns: ["Development"],
+                    days: jasmine.any(Object)
+                },
+                timeInColumn: {
+                    issues: {
+                        101: { Development: 7536552895 },
+                        102: { Development: 200000000 }
+                    },
+                    columns: {
+                        Development: { count: 1, p50: 7536552895, p85: 7536552895, max: 7536552895 }
+                    }
+                }
+            });
+        });
     });
     
     describe("computeStats", function () {
@@ -156,5 +697,32 @@ describe("stats", function () {
                 1411257600000: 1
             });
         });
+        
+        it("should use the state history from the log", function () {
+            var db = {
+                issues: {
+                    101: issue
+                }
+            },
+                log = {
+                    issueLabels: {
+                        101: issue.labelHistory
+                    },
+                    issueStates: {
+                        101: [
+                            { event: "opened", timestamp: 1403795900000, actor: "Opener" },
+                            { event: "closed", timestamp: 1411232475895, actor: "Closer" },
+                            { event: "reopened", timestamp: 1411332475895, actor: "Opener" }
+                        ]
+                    }
+                };
+            
+            delete issue.labelHistory;
+            var data = stats.computeStats(config, db, log);
+            expect(data.throughput).toBeUndefined();
+            expect(data.reopened).toEqual({
+                1411257600000: 1
+            });
+        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,495 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global expect, describe, it, beforeEach, afterEach, createSpy, waitsFor */
+
+/*global expect, describe, it, beforeEach, afterEach, createSpy, waitsFor */
+
+"use strict";
+
+var Promise = require("bluebird"),
+    http = require("http"),
+    os = require("os"),
+    path = require("path"),
+    url = require("url"),
+    _ = require("lodash"),
+    fs = Promise.promisifyAll(require("fs")),
+    child_process = Promise.promisifyAll(require("child_process")),
+    data_store = require("../lib/data-store"),
+    migrations = require("../lib/migrations");
+
+// Runs the whole track-labels.js pipeline against a fake GitHub API server and a local
+// git repo standing in for the storage repo.
+describe("track-labels", function () {
+    var scriptPath = path.join(__dirname, "..", "track-labels.js"),
+        gitEnv = {
+            GIT_AUTHOR_NAME: "Label Tracker",
+            GIT_AUTHOR_EMAIL: "tracker@example.com",
+            GIT_COMMITTER_NAME: "Label Tracker",
+            GIT_COMMITTER_EMAIL: "tracker@example.com"
+        },
+        workDir,
+        server,
+        requestedPaths,
+        requestedURLs,
+        responses,
+        pages;
+
+    function env() {
+        var result = {},
+            key;
+        for (key in process.env) {
+            if (process.env.hasOwnProperty(key)) {
+                result[key] = process.env[key];
+            }
+        }
+        for (key in gitEnv) {
+            if (gitEnv.hasOwnProperty(key)) {
+                result[key] = gitEnv[key];
+            }
+        }
+        return result;
+    }
+
+    function runTracker(args) {
+        return child_process.execFileAsync("node", [scriptPath].concat(args || []), {
+            cwd: workDir,
+            env: env()
+        });
+    }
+
+    beforeEach(function (done) {
+        requestedPaths = [];
+        requestedURLs = [];
+        pages = {};
+        responses = {
+            "/repos/my/repo/issues": [
+                {
+                    "number": 1347,
+                    "title": "Fix the frobbitz",
+                    "user": { "login": "ABracketsUser" },
+                    "labels": [{ "name": "Development" }],
+                    "state": "open",
+                    "created_at": "2014-06-01T10:00:00Z",
+                    "updated_at": "2014-06-10T10:00:00Z"
+                }
+            ],
+            "/repos/my/repo/issues/comments": [],
+            "/repos/my/repo/pulls/comments": [],
+            "/repos/my/repo/pulls": [],
+            "/repos/my/repo/issues/events": [
+                {
+                    "event": "labeled",
+                    "actor": { "login": "TheMover" },
+                    "label": { "name": "Development" },
+                    "issue": { "number": 1347 },
+                    "created_at": "2014-06-05T10:00:00Z"
+                }
+            ]
+        };
+
+        server = http.createServer(function (req, res) {
+            var parsedURL = url.parse(req.url, true),
+                pathname = parsedURL.pathname,
+                page;
+            requestedPaths.push(pathname);
+            requestedURLs.push(req.url);
+            if (pages[pathname]) {
+                // Each page of a paged response, with its status code and Link header.
+                page = pages[pathname][(parseInt(parsedURL.query.page, 10) || 1) - 1];
+                res.writeHead(page.statusCode, page.headers || {});
+                res.end(JSON.stringify(page.body || {}));
+            } else if (responses[pathname]) {
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify(responses[pathname]));
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
+        });
+
+        workDir = path.join(os.tmpdir(), "label-tracker-spec-" + process.pid + "-" + Date.now());
+        fs.mkdirSync(workDir);
+        server.listen(0, "127.0.0.1", function () {
+            var remote = path.join(workDir, "remote");
+            child_process.execAsync("git init --bare " + path.join(remote, "my", "storage.git"))
+                .then(function () {
+                    return fs.writeFileAsync(path.join(workDir, "config.json"), JSON.stringify({
+                        repo: "my/repo",
+                        labels: ["Development", "Review"],
+                        developmentLabels: ["Development"],
+                        storage: "my/storage",
+                        api_key: "FAKE_KEY",
+                        api_url: "http://127.0.0.1:" + server.address().port + "/",
+                        git_url: remote
+                    }));
+                })
+                .then(function () {
+                    done();
+                });
+        });
+    });
+
+    afterEach(function (done) {
+        server.close();
+        child_process.execAsync("rm -rf " + workDir).then(function () {
+            done();
+        });
+    });
+
+    it("should record label changes from the GitHub API and write the log and report to storage", function (done) {
+        runTracker()
+            .then(function () {
+                expect(requestedPaths).toContain("/repos/my/repo/issues");
+                expect(requestedPaths).toContain("/repos/my/repo/issues/comments");
+                expect(requestedPaths).toContain("/repos/my/repo/issues/events");
+                return fs.readFileAsync(path.join(workDir, "storage", "log.json"), "utf8");
+            })
+            .then(function (logText) {
+                var log = JSON.parse(logText);
+                expect(log.timestamp).toBe(Date.parse("2014-06-10T10:00:00Z"));
+                expect(log.issueLabels[1347].changes[Date.parse("2014-06-05T10:00:00Z")]).toEqual({
+                    added: ["Development"],
+                    addedBy: { Development: "TheMover" }
+                });
+                expect(log.issueLabels[1347].current).toEqual(["Development"]);
+                expect(fs.existsSync(path.join(workDir, "storage", "index.html"))).toBe(true);
+                var statsData = JSON.parse(fs.readFileSync(path.join(workDir, "storage", "stats.json"), "utf8")),
+                    labeled = Date.parse("2014-06-05T10:00:00Z"),
+                    firstDay = Date.parse("2014-06-05T00:00:00Z"),
+                    day = 24 * 3600 * 1000;
+                expect(statsData.generated).not.toBeLessThan(Date.parse("2014-06-10T10:00:00Z"));
+                expect(_.omit(statsData, "generated", "cumulativeFlow", "timeInColumn")).toEqual({
+                    timestamp: Date.parse("2014-06-10T10:00:00Z"),
+                    daily: {},
+                    issues: {},
+                    cycleTime: {},
+                    leadTime: {}
+                });
+                // The issue is still open, so it counts up to when the stats were generated.
+                expect(statsData.cumulativeFlow.columns).toEqual(["Development", "Review"]);
+                expect(statsData.cumulativeFlow.days[firstDay]).toEqual([1, 0]);
+                expect(Object.keys(statsData.cumulativeFlow.days).length)
+                    .toBe((statsData.generated - statsData.generated % day - firstDay) / day + 1);
+                expect(statsData.timeInColumn).toEqual({
+                    issues: {
+                        1347: { Development: statsData.generated - labeled }
+                    },
+                    columns: {}
+                });
+                expect(fs.readFileSync(path.join(workDir, "storage", "cumulativeFlow.csv"), "utf8").split("\n").slice(0, 3)).toEqual([
+                    "Date,Development,Review",
+                    "2014-06-05,1,0",
+                    "2014-06-06,1,0"
+                ]);
+                return child_process.execAsync("git log --format=%s HEAD", {
+                    cwd: path.join(workDir, "remote", "my", "storage.git")
+                });
+            })
+            .spread(function (stdout) {
+                expect(stdout.trim()).toBe("Update log");
+                done();
+            })
+            .catch(function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+    }, 20000);
+
+    it("should store the issue database so a fresh machine can pick up where the last run left off", function (done) {
+        var remote = path.join(workDir, "remote", "my", "storage.git");
+        runTracker()
+            .then(function () {
+                return child_process.execAsync("git ls-tree --name-only HEAD", { cwd: remote });
+            })
+            .spread(function (stdout) {
+                expect(stdout.trim().split("\n").sort()).toEqual(["allIssues.json", "cumulativeFlow.csv", "index.html", "log.json", "stats.json"]);
+                // Start over as if on another machine, with only what's in the storage repo.
+                return child_process.execAsync("rm -rf " + path.join(workDir, "storage"));
+            })
+            .then(function () {
+                requestedURLs = [];
+                return runTracker();
+            })
+            .then(function () {
+                var issuesURL = _.find(requestedURLs, function (requestedURL) {
+                    return url.parse(requestedURL).pathname === "/repos/my/repo/issues";
+                });
+                expect(url.parse(issuesURL, true).query.since).toBe("2014-06-10T10:00:00.000Z");
+                done();
+            })
+            .catch(function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+    }, 20000);
+
+    it("should push the checkpoint if fetching fails, so the next run resumes from storage", function (done) {
+        var remote = path.join(workDir, "remote", "my", "storage.git"),
+            nextPage = "<http://127.0.0.1/repos/my/repo/issues?page=2&per_page=100>";
+        pages["/repos/my/repo/issues"] = [
+            {
+                statusCode: 200,
+                headers: { "Link": nextPage + "; rel=\"next\", " + nextPage + "; rel=\"last\"" },
+                body: responses["/repos/my/repo/issues"]
+            },
+            { statusCode: 401 }
+        ];
+        runTracker()
+            .then(function () {
+                expect("the run to fail").toBeUndefined();
+            }, function () {
+                return child_process.execAsync("git show HEAD:allIssues.json", { cwd: remote });
+            })
+            .spread(function (stdout) {
+                var db = JSON.parse(stdout);
+                expect(db.issues[1347].title).toBe("Fix the frobbitz");
+                expect(db.checkpoints.issues.page).toBe(1);
+                // Start over as if on another machine, with only what's in the storage repo.
+                return child_process.execAsync("rm -rf " + path.join(workDir, "storage"));
+            })
+            .then(function () {
+                pages = {};
+                requestedURLs = [];
+                return runTracker();
+            })
+            .then(function () {
+                var issuesURL = _.find(requestedURLs, function (requestedURL) {
+                    return url.parse(requestedURL).pathname === "/repos/my/repo/issues";
+                });
+                expect(url.parse(issuesURL, true).query.page).toBe("2");
+                done();
+            })
+            .catch(function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+    }, 20000);
+
+    it("should import the log into SQLite and keep using that", function (done) {
+        var configFile = path.join(workDir, "config.json"),
+            storageDir = path.join(workDir, "storage"),
+            config = JSON.parse(fs.readFileSync(configFile, "utf8"));
+
+        // Git would store a new copy of the whole database on every run, so it's not allowed with SQLite.
+        config.storage_type = "local";
+        config.storage = storageDir;
+        fs.writeFileSync(configFile, JSON.stringify(config));
+        runTracker()
+            .then(function () {
+                config.database = "sqlite";
+                fs.writeFileSync(configFile, JSON.stringify(config));
+                return runTracker(["import"]);
+            })
+            .then(function () {
+                // Closed issues usually keep their labels.
+                responses["/repos/my/repo/issues"][0].state = "closed";
+                responses["/repos/my/repo/issues"][0].closed_at = "2014-06-12T10:00:00Z";
+                responses["/repos/my/repo/issues"][0].updated_at = "2014-06-12T10:00:00Z";
+                responses["/repos/my/repo/issues/events"].unshift({
+                    "event": "closed",
+                    "actor": { "login": "TheCloser" },
+                    "issue": { "number": 1347 },
+                    "created_at": "2014-06-12T10:00:00Z"
+                });
+                return runTracker();
+            })
+            .then(function () {
+                // Someone comments on the closed issue, so it's fetched again, but it isn't one of the
+                // open issues that are read at the start of the run.
+                responses["/repos/my/repo/issues"][0].updated_at = "2014-06-14T10:00:00Z";
+                return runTracker();
+            })
+            .then(function () {
+                expect(fs.existsSync(path.join(storageDir, "tracker.db"))).toBe(true);
+                expect(fs.existsSync(path.join(storageDir, "index.html"))).toBe(true);
+                // The JSON log is left as it was when it was imported.
+                var log = JSON.parse(fs.readFileSync(path.join(storageDir, "log.json"), "utf8")),
+                    store = new data_store.SQLiteStore({ repo: "my/repo" }, storageDir);
+                expect(log.issueStates[1347].length).toBe(1);
+                return store.load().then(function (data) {
+                    expect(data.log.timestamp).toBe(Date.parse("2014-06-14T10:00:00Z"));
+                    expect(data.log.issueLabels[1347]).toEqual({
+                        changes: {
+                            1401962400000: { added: ["Development"], addedBy: { Development: "TheMover" } }
+                        },
+                        current: ["Development"]
+                    });
+                    expect(_.pluck(data.log.issueStates[1347], "event")).toEqual(["opened", "closed"]);
+                    return store.close();
+                });
+            })
+            .then(function () {
+                done();
+            })
+            .catch(function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+    }, 20000);
+
+    it("should upgrade an old log with the migrate command", function (done) {
+        var logFile = path.join(workDir, "storage", "log.json");
+        runTracker()
+            .then(function () {
+                var log = JSON.parse(fs.readFileSync(logFile, "utf8"));
+                expect(log.schemaVersion).toBe(migrations.SCHEMA_VERSION);
+                delete log.schemaVersion;
+                delete log.pullRequests;
+                fs.writeFileSync(logFile, JSON.stringify(log));
+                return runTracker(["migrate"]);
+            })
+            .spread(function (stdout) {
+                var log = JSON.parse(fs.readFileSync(logFile, "utf8"));
+                expect(stdout).toContain("Upgraded the log for my/repo to schema version " + migrations.SCHEMA_VERSION);
+                expect(log.schemaVersion).toBe(migrations.SCHEMA_VERSION);
+                expect(log.pullRequests).toEqual({});
+                expect(requestedPaths.length).toBe(5);
+                return runTracker(["migrate"]);
+            })
+            .spread(function (stdout) {
+                expect(stdout).toContain("The log is already at schema version " + migrations.SCHEMA_VERSION);
+                done();
+            })
+            .catch(function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+    }, 20000);
+
+    it("should rewrite the label history to the new name with the repair command", function (done) {
+        var logFile = path.join(workDir, "storage", "log.json"),
+            configFile = path.join(workDir, "config.json");
+        runTracker()
+            .then(function () {
+                var config = JSON.parse(fs.readFileSync(configFile, "utf8"));
+                config.labels = ["In Development", "Review"];
+                config.developmentLabels = ["In Development"];
+                config.labelAliases = { "Development": "In Development" };
+                fs.writeFileSync(configFile, JSON.stringify(config));
+                return runTracker(["repair"]);
+            })
+            .spread(function (stdout) {
+                var log = JSON.parse(fs.readFileSync(logFile, "utf8"));
+                expect(stdout).toContain("Repaired the label history of 1 issues in my/repo");
+                expect(log.issueLabels["1347"].current).toEqual(["In Development"]);
+                expect(log.issueLabels["1347"].changes[Date.parse("2014-06-05T10:00:00Z")]).toEqual({
+                    added: ["In Development"],
+                    addedBy: { "In Development": "TheMover" }
+                });
+                expect(requestedPaths.length).toBe(5);
+                return runTracker(["repair"]);
+            })
+            .spread(function (stdout) {
+                expect(stdout).toContain("The label history doesn't need repairing");
+                done();
+            })
+            .catch(function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+    }, 20000);
+
+    it("should answer queries about past labels without changing anything", function (done) {
+        runTracker()
+            .then(function () {
+                return runTracker(["query", "--issue", "1347", "--at", "2014-06-05", "--json"]);
+            })
+            .spread(function (stdout) {
+                expect(JSON.parse(stdout).issues).toEqual([
+                    { repo: "my/repo", issue: 1347, labels: ["Development"], title: "Fix the frobbitz" }
+                ]);
+                expect(requestedPaths.length).toBe(5);
+                return runTracker(["query", "--at", "2014-06-04"]);
+            })
+            .spread(function (stdout) {
+                expect(stdout.trim()).toBe("No matching issues at 2014-06-04T23:59:59Z");
+                return child_process.execAsync("git log --format=%s HEAD", {
+                    cwd: path.join(workDir, "remote", "my", "storage.git")
+                });
+            })
+            .spread(function (stdout) {
+                expect(stdout.trim().split("\n").length).toBe(1);
+                done();
+            })
+            .catch(function (err) {
+                expect(err).toBeUndefined();
+                done();
+            });
+    }, 20000);
+
+    it("should refuse to run with a log from a newer version", function (done) {
+        var logFile = path.join(workDir, "storage", "log.json");
+        runTracker()
+            .then(function () {
+                var log = JSON.parse(fs.readFileSync(logFile, "utf8"));
+                log.schemaVersion = migrations.SCHEMA_VERSION + 1;
+                fs.writeFileSync(logFile, JSON.stringify(log));
+                return runTracker();
+            })
+            .then(function () {
+                expect("should have failed").toBeUndefined();
+                done();
+            }, function (err) {
+                expect(err.message).toContain("The log for my/repo has schema version " + (migrations.SCHEMA_VERSION + 1));
+                expect(JSON.parse(fs.readFileSync(logFile, "utf8")).schemaVersion).toBe(migrations.SCHEMA_VERSION + 1);
+                done();
+            });
+    }, 20000);
+
+    it("should refuse to run with workflow columns that aren't tracked", function (done) {
+        var configFile = path.join(workDir, "config.json"),
+            config = JSON.parse(fs.readFileSync(configFile, "utf8"));
+        config.workflow = ["Development", "Testing", "Review"];
+        fs.writeFileSync(configFile, JSON.stringify(config));
+        runTracker()
+            .then(function () {
+                expect("should have failed").toBeUndefined();
+                done();
+            }, function (err) {
+                expect(err.message).toContain("Every column in workflow must also be in labels, but these aren't: Testing");
+                expect(requestedPaths).toEqual([]);
+                done();
+            });
+    }, 20000);
+
+    it("should refuse to run with a corrupted log", function (done) {
+        runTracker()
+            .then(function () {
+                fs.writeFileSync(path.join(workDir, "storage", "log.json"), "{\"timestamp\": 14");
+                return runTracker();
+            })
+            .then(function () {
+                expect("should have failed").toBeUndefined();
+                done();
+            }, function (err) {
+                expect(err.message).toContain("Couldn't parse storage/log.json");
+                return child_process.execAsync("git log --format=%s HEAD", {
+                    cwd: path.join(workDir, "remote", "my", "storage.git")
+                }).spread(function (stdout) {
+                    expect(stdout.trim().split("\n").length).toBe(1);
+                    done();
+                });
+            });
+    }, 20000);
+});
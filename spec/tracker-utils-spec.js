@@ -28,8 +28,52 @@
 var rewire = require("rewire"),
     _ = require("lodash"),
     Promise = require("bluebird"),
+    fs = require("fs"),
+    os = require("os"),
+    path = require("path"),
     tracker_utils = rewire("../lib/tracker-utils");
 
+describe("repo data", function () {
+    it("should use the single repo if there's no list of repos", function () {
+        var config = {
+                repo: "my/repo"
+            },
+            log = {
+                timestamp: 1
+            };
+        expect(tracker_utils.getRepos(config)).toEqual(["my/repo"]);
+        expect(tracker_utils.getRepoConfig(config, "my/repo").repo).toBe("my/repo");
+        expect(tracker_utils.getRepoData(log, config, "my/repo")).toBe(log);
+        expect(tracker_utils.setRepoData(log, config, "my/repo", { timestamp: 2 })).toEqual({ timestamp: 2 });
+    });
+    
+    it("should keep each repo's data separately when there's a list of repos", function () {
+        var config = {
+                repos: ["my/repo", "my/other-repo"]
+            },
+            log = {
+                repos: {
+                    "my/repo": {
+                        timestamp: 1
+                    }
+                }
+            };
+        expect(tracker_utils.getRepos(config)).toEqual(["my/repo", "my/other-repo"]);
+        expect(tracker_utils.getRepoConfig(config, "my/other-repo").repo).toBe("my/other-repo");
+        expect(tracker_utils.getRepoData(log, config, "my/repo")).toEqual({ timestamp: 1 });
+        expect(tracker_utils.getRepoData(log, config, "my/other-repo")).toEqual({});
+        expect(tracker_utils.setRepoData(log, config, "my/other-repo", { timestamp: 2 })).toBe(log);
+        expect(log.repos).toEqual({
+            "my/repo": {
+                timestamp: 1
+            },
+            "my/other-repo": {
+                timestamp: 2
+            }
+        });
+    });
+});
+
 describe("updateLog", function () {
     var config = {
         labels: ["one", "two", "three"]
@@ -50,7 +94,8 @@ describe("updateLog", function () {
         expect(log.timestamp).toEqual(1);
         expect(log.issueLabels[50].changes).toEqual({
             1: {
-                added: ["one", "two"]
+                added: ["one", "two"],
+                addedBy: { one: null, two: null }
             }
         });
         expect(log.issueLabels[50].current).toEqual(["one", "two"]);
@@ -72,7 +117,8 @@ describe("updateLog", function () {
         expect(log.timestamp).toEqual(1);
         expect(log.issueLabels[50].changes).toEqual({
             1: {
-                added: ["one", "two"]
+                added: ["one", "two"],
+                addedBy: { one: null, two: null }
             }
         });
         expect(log.issueLabels[50].current).toEqual(["one", "two"]);
@@ -102,7 +148,9 @@ describe("updateLog", function () {
         expect(log.issueLabels[50].changes).toEqual({
             2: {
                 removed: ["one"],
-                added: ["three"]
+                removedBy: { one: null },
+                added: ["three"],
+                addedBy: { three: null }
             }
         });
         expect(log.issueLabels[50].current).toEqual(["two", "three"]);
@@ -199,7 +247,9 @@ describe("updateLog", function () {
             },
             2: {
                 removed: ["one"],
-                added: ["three"]
+                removedBy: { one: null },
+                added: ["three"],
+                addedBy: { three: null }
             }
         });
         expect(log.issueLabels[50].current).toEqual(["two", "three"]);
@@ -275,6 +325,104 @@ describe("updateLog", function () {
         expect(log.pullRequests[1099].latestAssigneeComment).toEqual(Date.parse("2014-06-08T09:09:09Z"));
     });
     
+    it("should count comments from any assignee or requested reviewer as reviewer comments", function () {
+        var log = {
+            timestamp: 10,
+            pullRequests: {
+                1099: {
+                }
+            }
+        },
+            db = {
+                timestamp: 10,
+                issues: {
+                    1099: {
+                        type: "pull",
+                        user: "TheRequestor",
+                        assignee: "TheAssignee",
+                        assignees: ["TheAssignee", "AnotherAssignee"],
+                        requestedReviewers: ["AReviewer"],
+                        number: 1099
+                    },
+                    1100: {
+                        type: "pull",
+                        user: "TheRequestor",
+                        assignee: "TheAssignee",
+                        assignees: ["TheAssignee", "AnotherAssignee"],
+                        requestedReviewers: ["AReviewer"],
+                        number: 1100
+                    }
+                }
+            },
+            latestComments = {
+                timestamp: 10,
+                prCommentTimestamps: [
+                    {
+                        id: 1099,
+                        user: "AnotherAssignee",
+                        created: 5
+                    },
+                    {
+                        id: 1100,
+                        user: "AReviewer",
+                        created: 6
+                    }
+                ]
+            };
+        tracker_utils.updateLog(config, log, db, latestComments);
+        expect(log.pullRequests[1099].latestAssigneeComment).toEqual(5);
+        expect(log.pullRequests[1100].latestAssigneeComment).toEqual(6);
+    });
+    
+    it("should keep the comments on open pull requests, so they count once the commenter is a reviewer", function () {
+        var config = { labels: [] },
+            log = {
+                timestamp: 10,
+                pullRequests: {}
+            },
+            db = {
+                timestamp: 10,
+                issues: {
+                    1099: {
+                        type: "pull",
+                        state: "open",
+                        user: "TheRequestor",
+                        assignees: [],
+                        number: 1099
+                    },
+                    1100: {
+                        type: "pull",
+                        state: "closed",
+                        user: "TheRequestor",
+                        assignees: [],
+                        number: 1100
+                    }
+                },
+                comments: {
+                    1100: [{ user: "AReviewer", created: 4 }]
+                }
+            };
+        tracker_utils.updateLog(config, log, db, {
+            timestamp: 10,
+            prCommentTimestamps: [
+                { id: 1099, user: "AReviewer", created: 5 },
+                { id: 1100, user: "AReviewer", created: 6 }
+            ]
+        });
+        expect(db.comments).toEqual({
+            1099: [{ user: "AReviewer", created: 5 }]
+        });
+        expect(log.pullRequests[1099]).toEqual({});
+
+        db.issues[1099].requestedReviewers = ["AReviewer"];
+        tracker_utils.updateLog(config, log, db, {
+            timestamp: 10,
+            prCommentTimestamps: [{ id: 1099, user: "AReviewer", created: 5 }]
+        });
+        expect(db.comments[1099]).toEqual([{ user: "AReviewer", created: 5 }]);
+        expect(log.pullRequests[1099].latestAssigneeComment).toEqual(5);
+    });
+    
     it("should delete closed pull requests", function () {
         var log = {
             pullRequests: {
@@ -304,185 +452,1118 @@ describe("updateLog", function () {
         tracker_utils.updateLog(config, log, db);
         expect(log.pullRequests).toEqual({});
     });
-});
-
-describe("getLatestIssueInfo", function () {
-    var mockConfig,
-        mockResponse,
-        mockBody,
-        requestedOptions,
-        oldRequestObject;
     
-    var mockIssue1347 = {
-            "url": "https://api.github.com/repos/octocat/Hello-World/issues/1347",
-            "number": 1347,
-            "title": "1347 was a good year. I guess.",
-            "user": {
-                login: "ABracketsUsers"
-            },
-            "labels": [
-                {
-                    "url": "https://api.github.com/repos/octocat/Hello-World/labels/bug",
-                    "name": "bug",
-                    "color": "f29513"
-                },
-                {
-                    "url": "https://api.github.com/repos/octocat/Hello-World/labels/Ready",
-                    "name": "Ready",
-                    "color": "f29513"
+    it("should record label events at the time they happened", function () {
+        var log = {
+                timestamp: 1,
+                issueLabels: {
+                    50: {
+                        changes: {},
+                        current: ["one"]
+                    }
                 }
-            ],
-            "created_at": "2011-04-22T13:33:48Z",
-            "updated_at": "2011-04-22T13:33:48Z"
-        },
-        mockIssue1350 = {
-            "url": "https://api.github.com/repos/octocat/Hello-World/issues/1350",
-            "number": 1350,
-            "title": "The Exciting 1350",
-            "user": {
-                login: "ABracketsDeveloper"
             },
-            "labels": [
-                {
-                    "url": "https://api.github.com/repos/octocat/Hello-World/labels/Development",
-                    "name": "Development",
-                    "color": "f29513"
-                },
-                {
-                    "url": "https://api.github.com/repos/octocat/Hello-World/labels/enhancement",
-                    "name": "enhancement",
-                    "color": "f29513"
-                }
-            ],
-            "created_at": "2011-04-22T13:35:49Z",
-            "updated_at": "2011-04-22T13:35:49Z"
-        },
-        mockPR1352 = {
-            "url": "https://api.github.com/repos/octocat/Hello-World/issues/1352",
-            "number": 1352,
-            "title": "Makes the frobbitz less susceptible to frammis",
-            "labels": [
-                {
-                    "url": "https://api.github.com/repos/octocat/Hello-World/labels/PR Triage complete",
-                    "name": "PR Triage complete",
-                    "color": "f29513"
+            db = {
+                timestamp: 10,
+                issues: {
+                    50: {
+                        labels: ["two"],
+                        updatedAt: 10
+                    }
                 }
-            ],
-            "user": {
-                "login": "UserThatCreated"
             },
-            "created_at": "2011-04-22T13:35:49Z",
-            "updated_at": "2011-04-22T13:35:49Z",
-            "assignee": null,
-            "pull_request": {
-                "url": "https://api.github.com/repos/octocat/Hello-World/pulls/1352",
-                "html_url": "https://github.com/octocat/Hello-World/pull/1352",
-                "diff_url": "https://github.com/octocat/Hello-World/pull/1352.diff",
-                "patch_url": "https://github.com/octocat/Hello-World/pull/1352.patch"
+            latestEvents = {
+                labelEvents: [
+                    { id: 50, event: "labeled", label: "two", user: "Mover", created: 7 },
+                    { id: 50, event: "unlabeled", label: "one", user: "Mover", created: 5 }
+                ]
+            };
+
+        tracker_utils.updateLog(config, log, db, undefined, latestEvents);
+        expect(log.timestamp).toEqual(10);
+        expect(log.issueLabels[50].changes).toEqual({
+            5: {
+                removed: ["one"],
+                removedBy: { one: "Mover" }
             },
-            "state": "open",
-        },
-        mockPR1353 = {
-            "url": "https://api.github.com/repos/octocat/Hello-World/issues/1353",
-            "number": 1353,
-            "title": "Take care of those nasty hobbitses",
-            "labels": [
-                {
-                    "url": "https://api.github.com/repos/octocat/Hello-World/labels/PR Triage complete",
-                    "name": "PR Triage complete",
-                    "color": "f29513"
+            7: {
+                added: ["two"],
+                addedBy: { two: "Mover" }
+            }
+        });
+        expect(log.issueLabels[50].current).toEqual(["two"]);
+    });
+    
+    it("should record labels that were added and removed between runs", function () {
+        var log = {
+                timestamp: 1,
+                issueLabels: {}
+            },
+            db = {
+                timestamp: 10,
+                issues: {
+                    50: {
+                        labels: ["one"],
+                        updatedAt: 10
+                    }
                 }
-            ],
-            "user": {
-                "login": "UserThatCreated"
             },
-            "created_at": "2011-04-22T13:35:49Z",
-            "updated_at": "2011-04-22T13:35:49Z",
-            "assignee": {
-                "login": "ThePersonWhoIsAssigned"
+            latestEvents = {
+                labelEvents: [
+                    { id: 50, event: "unlabeled", label: "two", user: "Mover", created: 6 },
+                    { id: 50, event: "labeled", label: "two", user: "Mover", created: 4 },
+                    { id: 50, event: "labeled", label: "one", user: "Mover", created: 3 }
+                ]
+            };
+
+        tracker_utils.updateLog(config, log, db, undefined, latestEvents);
+        expect(log.issueLabels[50].changes).toEqual({
+            3: {
+                added: ["one"],
+                addedBy: { one: "Mover" }
             },
-            "pull_request": {
-                "url": "https://api.github.com/repos/octocat/Hello-World/pulls/1353",
-                "html_url": "https://github.com/octocat/Hello-World/pull/1353",
-                "diff_url": "https://github.com/octocat/Hello-World/pull/1353.diff",
-                "patch_url": "https://github.com/octocat/Hello-World/pull/1353.patch"
+            4: {
+                added: ["two"],
+                addedBy: { two: "Mover" }
             },
-            "state": "open"
-        };
-
-
-    beforeEach(function () {
-        var responseIndex = 0;
-        
-        requestedOptions = [];
-        mockConfig = {
-            repo: "my/repo",
-            labels: ["Ready", "Development"],
-            api_key: "FAKE_KEY"
-        };
-        mockResponse = {
-            statusCode: 200
-        };
-        oldRequestObject = tracker_utils.__get__("request");
-        tracker_utils.__set__("request", function (options) {
-            if ((Array.isArray(mockResponse) && responseIndex >= mockResponse.length) ||
-                    (Array.isArray(mockBody) && responseIndex >= mockBody.length)) {
-                return Promise.reject(new Error("Tried to request more times than was expected"));
+            6: {
+                removed: ["two"],
+                removedBy: { two: "Mover" }
             }
-            requestedOptions.push(_.cloneDeep(options));
-            var response = (Array.isArray(mockResponse) ? mockResponse[responseIndex] : mockResponse),
-                body = (Array.isArray(mockBody) ? mockBody[responseIndex] : mockBody);
-            responseIndex++;
-            return Promise.resolve([response, body]);
         });
+        expect(log.issueLabels[50].current).toEqual(["one"]);
     });
     
-    afterEach(function () {
-        tracker_utils.__set__("request", oldRequestObject);
-    });
+    it("should ignore events for untracked labels, old events and events newer than the issue data", function () {
+        var log = {
+                timestamp: 5,
+                issueLabels: {
+                    50: {
+                        changes: {},
+                        current: ["one"]
+                    }
+                }
+            },
+            db = {
+                timestamp: 10,
+                issues: {
+                    50: {
+                        labels: ["one"],
+                        updatedAt: 10
+                    }
+                }
+            },
+            latestEvents = {
+                labelEvents: [
+                    { id: 50, event: "labeled", label: "two", user: "Mover", created: 12 },
+                    { id: 50, event: "labeled", label: "untracked", user: "Mover", created: 8 },
+                    { id: 50, event: "labeled", label: "one", user: "Mover", created: 4 },
+                    { id: 99, event: "labeled", label: "one", user: "Mover", created: 8 }
+                ]
+            };
 
-    it("should fetch the issues for a repo from GitHub and return the tracked labels in the correct format", function (done) {
-        // This isn't all the content from a GitHub response, just the stuff we should care about.
-        mockBody = JSON.stringify([mockIssue1347, mockIssue1350]);
-        var db = {
-            timestamp: 100,
-            issues: {},
-            pulls: {}
-        };
-        
-        tracker_utils.getLatestIssueInfo(mockConfig, db)
+        tracker_utils.updateLog(config, log, db, undefined, latestEvents);
+        expect(log.issueLabels[50].changes).toEqual({});
+        expect(log.issueLabels[99]).toBeUndefined();
+    });
+    
+    it("should fall back to the log timestamp for changes the events didn't cover", function () {
+        var log = {
+                timestamp: 1,
+                issueLabels: {}
+            },
+            db = {
+                timestamp: 10,
+                issues: {
+                    50: {
+                        labels: ["one", "two"],
+                        updatedAt: 10
+                    }
+                }
+            },
+            latestEvents = {
+                labelEvents: [
+                    { id: 50, event: "labeled", label: "two", user: "Mover", created: 4 }
+                ]
+            };
+
+        tracker_utils.updateLog(config, log, db, undefined, latestEvents);
+        expect(log.issueLabels[50].changes).toEqual({
+            4: {
+                added: ["two"],
+                addedBy: { two: "Mover" }
+            },
+            10: {
+                added: ["one"],
+                addedBy: { one: null }
+            }
+        });
+        expect(log.issueLabels[50].current).toEqual(["one", "two"]);
+    });
+});
+
+describe("updateLog states", function () {
+    var config = {
+        labels: ["one", "two"]
+    };
+
+    it("should record when a new issue was opened and, if it's closed, when it was closed", function () {
+        var log = {},
+            db = {
+                timestamp: 10,
+                issues: {
+                    50: { number: 50, type: "issue", user: "Opener", state: "open", createdAt: 2, updatedAt: 3, labels: [] },
+                    51: { number: 51, type: "issue", user: "Opener", state: "closed", state_reason: "not_planned", createdAt: 2, closedAt: 5, updatedAt: 5, labels: [] },
+                    52: { number: 52, type: "pull", user: "Opener", state: "closed", createdAt: 2, closedAt: 6, mergedAt: 6, updatedAt: 6, labels: [] }
+                }
+            };
+
+        tracker_utils.updateLog(config, log, db);
+        expect(log.issueStates).toEqual({
+            50: [{ event: "opened", timestamp: 2, actor: "Opener" }],
+            51: [{ event: "opened", timestamp: 2, actor: "Opener" }, { event: "closed", timestamp: 5, actor: null, reason: "not_planned" }],
+            52: [{ event: "opened", timestamp: 2, actor: "Opener" }, { event: "merged", timestamp: 6, actor: null }]
+        });
+    });
+
+    it("should record state events at the time they happened, and keep earlier closes when an issue is reopened", function () {
+        var log = {
+                timestamp: 4,
+                issueLabels: {},
+                issueStates: {
+                    50: [{ event: "opened", timestamp: 2, actor: "Opener" }]
+                }
+            },
+            db = {
+                timestamp: 10,
+                issues: {
+                    50: { number: 50, type: "issue", user: "Opener", state: "open", createdAt: 2, updatedAt: 9, labels: [] }
+                }
+            },
+            latestEvents = {
+                labelEvents: [],
+                stateEvents: [
+                    { id: 50, event: "reopened", user: "Reopener", created: 7 },
+                    { id: 50, event: "closed", reason: "completed", user: "Closer", created: 5 },
+                    { id: 50, event: "closed", user: "Closer", created: 3 }
+                ]
+            };
+
+        tracker_utils.updateLog(config, log, db, undefined, latestEvents);
+        expect(log.issueStates[50]).toEqual([
+            { event: "opened", timestamp: 2, actor: "Opener" },
+            { event: "closed", timestamp: 5, actor: "Closer", reason: "completed" },
+            { event: "reopened", timestamp: 7, actor: "Reopener" }
+        ]);
+    });
+
+    it("should record a merge once, even though GitHub also reports it as a close", function () {
+        var log = {
+                timestamp: 4,
+                issueLabels: {},
+                issueStates: {
+                    52: [{ event: "opened", timestamp: 2, actor: "Opener" }]
+                }
+            },
+            db = {
+                timestamp: 10,
+                issues: {
+                    52: { number: 52, type: "pull", user: "Opener", state: "closed", createdAt: 2, closedAt: 6, mergedAt: 6, updatedAt: 6, labels: [] }
+                }
+            },
+            latestEvents = {
+                stateEvents: [
+                    { id: 52, event: "closed", user: "Merger", created: 6 },
+                    { id: 52, event: "merged", user: "Merger", created: 6 }
+                ]
+            };
+
+        tracker_utils.updateLog(config, log, db, undefined, latestEvents);
+        expect(log.issueStates[52]).toEqual([
+            { event: "opened", timestamp: 2, actor: "Opener" },
+            { event: "merged", timestamp: 6, actor: "Merger" }
+        ]);
+    });
+
+    it("should record a reopen the events didn't cover at the log timestamp", function () {
+        var log = {
+                timestamp: 4,
+                issueLabels: {},
+                issueStates: {
+                    50: [{ event: "opened", timestamp: 2, actor: "Opener" }, { event: "closed", timestamp: 3, actor: "Closer" }]
+                }
+            },
+            db = {
+                timestamp: 10,
+                issues: {
+                    50: { number: 50, type: "issue", user: "Opener", state: "open", createdAt: 2, updatedAt: 9, labels: [] }
+                }
+            };
+
+        tracker_utils.updateLog(config, log, db);
+        expect(log.issueStates[50][2]).toEqual({ event: "reopened", timestamp: 10, actor: null });
+        expect(tracker_utils.getStateFromHistory(log.issueStates[50])).toBe("open");
+    });
+});
+
+describe("updateLog actors", function () {
+    var config = {
+        labels: ["one", "two"]
+    };
+
+    it("should attribute each label change separately, marking the ones with no known actor", function () {
+        var log = {
+                timestamp: 1,
+                issueLabels: {}
+            },
+            db = {
+                timestamp: 10,
+                issues: {
+                    50: {
+                        labels: ["one", "two"],
+                        updatedAt: 10
+                    }
+                }
+            },
+            latestEvents = {
+                labelEvents: [
+                    { id: 50, event: "labeled", label: "two", user: "Mover", created: 10 }
+                ]
+            };
+
+        tracker_utils.updateLog(config, log, db, undefined, latestEvents);
+        expect(log.issueLabels[50].changes).toEqual({
+            10: {
+                added: ["two", "one"],
+                addedBy: { two: "Mover", one: null }
+            }
+        });
+    });
+});
+
+describe("updateLog milestones and assignees", function () {
+    var config = {
+        labels: ["one", "two"]
+    };
+
+    it("should record milestone and assignee events at the time they happened, with who made them", function () {
+        var log = {
+                timestamp: 4,
+                issueLabels: {},
+                issueMilestones: {
+                    50: { changes: { 2: { added: ["Release 1"], addedBy: { "Release 1": "Planner" } } }, current: ["Release 1"] }
+                },
+                issueAssignees: {
+                    50: { changes: { 2: { added: ["Dev1"], addedBy: { Dev1: "Lead" } } }, current: ["Dev1"] }
+                }
+            },
+            db = {
+                timestamp: 10,
+                issues: {
+                    50: { number: 50, type: "issue", state: "open", milestone: "Release 2", assignees: ["Dev2"], createdAt: 1, updatedAt: 9, labels: [] }
+                }
+            },
+            latestEvents = {
+                milestoneEvents: [
+                    { id: 50, event: "milestoned", milestone: "Release 2", user: "Planner", created: 7 },
+                    { id: 50, event: "demilestoned", milestone: "Release 1", user: "Planner", created: 7 }
+                ],
+                assigneeEvents: [
+                    { id: 50, event: "unassigned", assignee: "Dev1", user: "Lead", created: 8 },
+                    { id: 50, event: "assigned", assignee: "Dev2", user: "Lead", created: 6 },
+                    { id: 50, event: "assigned", assignee: "Dev1", user: "Lead", created: 3 }
+                ]
+            };
+
+        tracker_utils.updateLog(config, log, db, undefined, latestEvents);
+        expect(log.issueMilestones[50]).toEqual({
+            changes: {
+                2: { added: ["Release 1"], addedBy: { "Release 1": "Planner" } },
+                7: { added: ["Release 2"], addedBy: { "Release 2": "Planner" }, removed: ["Release 1"], removedBy: { "Release 1": "Planner" } }
+            },
+            current: ["Release 2"]
+        });
+        expect(log.issueAssignees[50]).toEqual({
+            changes: {
+                2: { added: ["Dev1"], addedBy: { Dev1: "Lead" } },
+                6: { added: ["Dev2"], addedBy: { Dev2: "Lead" } },
+                8: { removed: ["Dev1"], removedBy: { Dev1: "Lead" } }
+            },
+            current: ["Dev2"]
+        });
+    });
+
+    it("should record changes the events didn't cover at the log timestamp", function () {
+        var log = {
+                timestamp: 4,
+                issueLabels: {},
+                issueMilestones: {
+                    50: { changes: { 2: { added: ["Release 1"], addedBy: { "Release 1": "Planner" } } }, current: ["Release 1"] }
+                }
+            },
+            db = {
+                timestamp: 10,
+                issues: {
+                    50: { number: 50, type: "issue", state: "open", milestone: null, assignee: "Dev1", createdAt: 1, updatedAt: 9, labels: [] }
+                }
+            };
+
+        tracker_utils.updateLog(config, log, db);
+        expect(log.issueMilestones[50].changes[10]).toEqual({ removed: ["Release 1"], removedBy: { "Release 1": null } });
+        expect(log.issueMilestones[50].current).toEqual([]);
+        expect(log.issueAssignees[50]).toEqual({
+            changes: { 10: { added: ["Dev1"], addedBy: { Dev1: null } } },
+            current: ["Dev1"]
+        });
+    });
+});
+
+describe("label aliases", function () {
+    var config = {
+        labels: ["Ready", "Review"],
+        labelAliases: { "In Review": "Review", "Code Review": "Review" }
+    };
+
+    it("should normalize label names, dropping duplicates", function () {
+        expect(tracker_utils.normalizeLabel(config, "In Review")).toBe("Review");
+        expect(tracker_utils.normalizeLabel(config, "Ready")).toBe("Ready");
+        expect(tracker_utils.normalizeLabels(config, ["Code Review", "bug", "Review"])).toEqual(["Review", "bug"]);
+        expect(tracker_utils.normalizeLabels({}, ["In Review"])).toEqual(["In Review"]);
+    });
+
+    it("should not record a change when a tracked label is renamed", function () {
+        var log = {
+                timestamp: 4,
+                issueLabels: {
+                    50: { changes: { 2: { added: ["Review"], addedBy: { Review: "Mover" } } }, current: ["Review"] }
+                }
+            },
+            db = {
+                timestamp: 10,
+                issues: {
+                    50: { number: 50, type: "issue", state: "open", createdAt: 1, updatedAt: 9, labels: ["In Review"] },
+                    51: { number: 51, type: "issue", state: "open", createdAt: 1, updatedAt: 9, labels: ["Code Review"] }
+                }
+            },
+            latestEvents = {
+                labelEvents: [{ id: 51, event: "labeled", label: "Code Review", user: "Mover", created: 8 }]
+            };
+
+        tracker_utils.updateLog(config, log, db, undefined, latestEvents);
+        expect(log.issueLabels[50]).toEqual({ changes: { 2: { added: ["Review"], addedBy: { Review: "Mover" } } }, current: ["Review"] });
+        expect(log.issueLabels[51]).toEqual({ changes: { 8: { added: ["Review"], addedBy: { Review: "Mover" } } }, current: ["Review"] });
+    });
+
+    it("should repair history recorded under the old names", function () {
+        var log = {
+            issueLabels: {
+                50: {
+                    changes: {
+                        2: { added: ["Ready"], addedBy: { Ready: "Mover" } },
+                        3: { added: ["Code Review"], addedBy: { "Code Review": "Mover" }, removed: ["Ready"], removedBy: { Ready: "Mover" } },
+                        5: { added: ["In Review"], addedBy: { "In Review": null }, removed: ["Code Review"], removedBy: { "Code Review": null } },
+                        6: { added: ["Review"], addedBy: { Review: "Shaker" } }
+                    },
+                    current: ["In Review", "Review"]
+                },
+                51: { changes: { 2: { added: ["Ready"], addedBy: { Ready: "Mover" } } }, current: ["Ready"] }
+            }
+        };
+
+        expect(tracker_utils.repairLabels(config, log)).toEqual(["50"]);
+        expect(log.issueLabels[50]).toEqual({
+            changes: {
+                2: { added: ["Ready"], addedBy: { Ready: "Mover" } },
+                3: { removed: ["Ready"], removedBy: { Ready: "Mover" }, added: ["Review"], addedBy: { Review: "Mover" } }
+            },
+            current: ["Review"]
+        });
+        expect(tracker_utils.repairLabels(config, log)).toEqual([]);
+    });
+});
+
+describe("validateConfig", function () {
+    var config;
+
+    beforeEach(function () {
+        config = {
+            repo: "my/repo",
+            labels: ["Ready", "Review"],
+            developmentLabels: ["Review"],
+            api_key: "FAKE_KEY"
+        };
+    });
+
+    it("should accept a config with the required settings", function () {
+        config.workflow = ["Ready", "Review"];
+        config.labelAliases = { "In Review": "Review" };
+        expect(function () {
+            tracker_utils.validateConfig(config);
+        }).not.toThrow();
+    });
+
+    it("should reject a config that's missing a required setting", function () {
+        delete config.api_key;
+        expect(function () {
+            tracker_utils.validateConfig(config);
+        }).toThrow("Must set repo (or repos), labels, and api_key in config file");
+    });
+
+    it("should reject a config without developmentLabels, or with ones that aren't tracked", function () {
+        delete config.developmentLabels;
+        expect(function () {
+            tracker_utils.validateConfig(config);
+        }).toThrow("Must set developmentLabels in config file to the labels that mean an issue is on the board");
+        config.developmentLabels = ["Development"];
+        expect(function () {
+            tracker_utils.validateConfig(config);
+        }).toThrow("Every label in developmentLabels must also be in labels, but these aren't: Development");
+    });
+
+    it("should reject label aliases for tracked labels, or for other aliases", function () {
+        config.labelAliases = { "Ready": "Review" };
+        expect(function () {
+            tracker_utils.validateConfig(config);
+        }).toThrow("labelAliases maps Ready to Review, but Ready is also in labels");
+        config.labelAliases = { "In Review": "Code Review", "Code Review": "Review" };
+        expect(function () {
+            tracker_utils.validateConfig(config);
+        }).toThrow("labelAliases maps In Review to Code Review, which is itself an alias");
+    });
+
+    it("should reject the SQLite database with git storage", function () {
+        config.database = "sqlite";
+        expect(function () {
+            tracker_utils.validateConfig(config);
+        }).toThrow("The SQLite database can't be kept in git storage. Set storage_type to local or s3 to use it.");
+        config.storage_type = "s3";
+        expect(function () {
+            tracker_utils.validateConfig(config);
+        }).not.toThrow();
+    });
+});
+
+describe("mergeLogs", function () {
+    it("should take the rebuilt log if there is no existing log", function () {
+        var rebuiltLog = {
+            timestamp: 10,
+            issueLabels: {
+                50: {
+                    changes: {
+                        4: {
+                            added: ["one"],
+                            addedBy: { one: "Mover" }
+                        }
+                    },
+                    current: ["one"]
+                }
+            },
+            pullRequests: {}
+        };
+        expect(tracker_utils.mergeLogs({}, rebuiltLog)).toEqual(rebuiltLog);
+    });
+    
+    it("should keep the existing history for labels it was already tracking", function () {
+        var log = {
+                timestamp: 8,
+                issueLabels: {
+                    50: {
+                        changes: {
+                            8: {
+                                added: ["one"]
+                            }
+                        },
+                        current: ["one"]
+                    }
+                }
+            },
+            rebuiltLog = {
+                timestamp: 10,
+                issueLabels: {
+                    50: {
+                        changes: {
+                            3: {
+                                added: ["two"],
+                                addedBy: { two: "Mover" }
+                            },
+                            4: {
+                                added: ["one"],
+                                addedBy: { one: "Mover" }
+                            },
+                            6: {
+                                removed: ["two"],
+                                removedBy: { two: "Shaker" }
+                            },
+                            9: {
+                                added: ["three"],
+                                addedBy: { three: "Mover" },
+                                removed: ["one"],
+                                removedBy: { one: null }
+                            }
+                        },
+                        current: ["three"]
+                    },
+                    60: {
+                        changes: {
+                            5: {
+                                added: ["two"],
+                                addedBy: { two: "Mover" }
+                            }
+                        },
+                        current: ["two"]
+                    }
+                }
+            },
+            merged = tracker_utils.mergeLogs(log, rebuiltLog);
+        
+        expect(merged.timestamp).toBe(10);
+        expect(merged.issueLabels[50].changes).toEqual({
+            3: {
+                added: ["two"],
+                addedBy: { two: "Mover" }
+            },
+            6: {
+                removed: ["two"],
+                removedBy: { two: "Shaker" }
+            },
+            8: {
+                added: ["one"]
+            },
+            9: {
+                added: ["three"],
+                addedBy: { three: "Mover" },
+                removed: ["one"],
+                removedBy: { one: null }
+            }
+        });
+        expect(merged.issueLabels[50].current).toEqual(["three"]);
+        expect(merged.issueLabels[60]).toEqual(rebuiltLog.issueLabels[60]);
+        expect(log.issueLabels[50].current).toEqual(["one"]);
+    });
+    
+    it("should take the state histories from the rebuilt log, keeping newer changes", function () {
+        var log = {
+                timestamp: 8,
+                issueStates: {
+                    50: [
+                        { event: "opened", timestamp: 2, actor: "Opener" },
+                        { event: "reopened", timestamp: 8, actor: null },
+                        { event: "closed", timestamp: 12, actor: "Closer" }
+                    ],
+                    51: [{ event: "opened", timestamp: 3, actor: "Opener" }]
+                }
+            },
+            rebuiltLog = {
+                timestamp: 10,
+                issueStates: {
+                    50: [
+                        { event: "opened", timestamp: 2, actor: "Opener" },
+                        { event: "closed", timestamp: 4, actor: "Closer" },
+                        { event: "reopened", timestamp: 6, actor: "Reopener" }
+                    ]
+                }
+            },
+            merged = tracker_utils.mergeLogs(log, rebuiltLog);
+        
+        expect(merged.issueStates[50]).toEqual([
+            { event: "opened", timestamp: 2, actor: "Opener" },
+            { event: "closed", timestamp: 4, actor: "Closer" },
+            { event: "reopened", timestamp: 6, actor: "Reopener" },
+            { event: "closed", timestamp: 12, actor: "Closer" }
+        ]);
+        expect(merged.issueStates[51]).toEqual(log.issueStates[51]);
+    });
+    
+    it("should take the milestone and assignee histories from the rebuilt log, keeping newer changes", function () {
+        var log = {
+                timestamp: 8,
+                issueAssignees: {
+                    50: {
+                        changes: {
+                            8: { added: ["Dev1"], addedBy: { Dev1: null } },
+                            12: { added: ["Dev2"], addedBy: { Dev2: "Lead" }, removed: ["Dev1"], removedBy: { Dev1: "Lead" } }
+                        },
+                        current: ["Dev2"]
+                    },
+                    51: { changes: { 3: { added: ["Dev3"], addedBy: { Dev3: "Lead" } } }, current: ["Dev3"] }
+                }
+            },
+            rebuiltLog = {
+                timestamp: 10,
+                issueMilestones: {
+                    50: { changes: { 4: { added: ["Release 1"], addedBy: { "Release 1": "Planner" } } }, current: ["Release 1"] }
+                },
+                issueAssignees: {
+                    50: { changes: { 5: { added: ["Dev1"], addedBy: { Dev1: "Lead" } } }, current: ["Dev1"] }
+                }
+            },
+            merged = tracker_utils.mergeLogs(log, rebuiltLog);
+        
+        expect(merged.issueMilestones).toEqual(rebuiltLog.issueMilestones);
+        expect(merged.issueAssignees[50]).toEqual({
+            changes: {
+                5: { added: ["Dev1"], addedBy: { Dev1: "Lead" } },
+                12: { removed: ["Dev1"], removedBy: { Dev1: "Lead" }, added: ["Dev2"], addedBy: { Dev2: "Lead" } }
+            },
+            current: ["Dev2"]
+        });
+        expect(merged.issueAssignees[51]).toEqual(log.issueAssignees[51]);
+    });
+    
+    it("should take the open pull requests from the rebuilt log, keeping newer comment times", function () {
+        var log = {
+                timestamp: 8,
+                pullRequests: {
+                    1099: {
+                        latestUserComment: 7,
+                        latestAssigneeComment: 3
+                    },
+                    1100: {
+                        latestUserComment: 2
+                    }
+                }
+            },
+            rebuiltLog = {
+                timestamp: 10,
+                pullRequests: {
+                    1099: {
+                        latestUserComment: 5,
+                        latestAssigneeComment: 9
+                    }
+                }
+            };
+        
+        expect(tracker_utils.mergeLogs(log, rebuiltLog).pullRequests).toEqual({
+            1099: {
+                latestUserComment: 7,
+                latestAssigneeComment: 9
+            }
+        });
+    });
+});
+
+describe("getLatestIssueInfo", function () {
+    var mockConfig,
+        mockResponse,
+        mockBody,
+        requestedOptions,
+        oldRequestObject,
+        oldDelay,
+        delays;
+    
+    var mockIssue1347 = {
+            "url": "https://api.github.com/repos/octocat/Hello-World/issues/1347",
+            "number": 1347,
+            "title": "1347 was a good year. I guess.",
+            "user": {
+                login: "ABracketsUsers"
+            },
+            "labels": [
+                {
+                    "url": "https://api.github.com/repos/octocat/Hello-World/labels/bug",
+                    "name": "bug",
+                    "color": "f29513"
+                },
+                {
+                    "url": "https://api.github.com/repos/octocat/Hello-World/labels/Ready",
+                    "name": "Ready",
+                    "color": "f29513"
+                }
+            ],
+            "created_at": "2011-04-22T13:33:48Z",
+            "updated_at": "2011-04-22T13:33:48Z"
+        },
+        mockIssue1350 = {
+            "url": "https://api.github.com/repos/octocat/Hello-World/issues/1350",
+            "number": 1350,
+            "title": "The Exciting 1350",
+            "user": {
+                login: "ABracketsDeveloper"
+            },
+            "labels": [
+                {
+                    "url": "https://api.github.com/repos/octocat/Hello-World/labels/Development",
+                    "name": "Development",
+                    "color": "f29513"
+                },
+                {
+                    "url": "https://api.github.com/repos/octocat/Hello-World/labels/enhancement",
+                    "name": "enhancement",
+                    "color": "f29513"
+                }
+            ],
+            "created_at": "2011-04-22T13:35:49Z",
+            "updated_at": "2011-04-22T13:35:49Z"
+        },
+        mockPR1352 = {
+            "url": "https://api.github.com/repos/octocat/Hello-World/issues/1352",
+            "number": 1352,
+            "title": "Makes the frobbitz less susceptible to frammis",
+            "labels": [
+                {
+                    "url": "https://api.github.com/repos/octocat/Hello-World/labels/PR Triage complete",
+                    "name": "PR Triage complete",
+                    "color": "f29513"
+                }
+            ],
+            "user": {
+                "login": "UserThatCreated"
+            },
+            "created_at": "2011-04-22T13:35:49Z",
+            "updated_at": "2011-04-22T13:35:49Z",
+            "assignee": null,
+            "pull_request": {
+                "url": "https://api.github.com/repos/octocat/Hello-World/pulls/1352",
+                "html_url": "https://github.com/octocat/Hello-World/pull/1352",
+                "diff_url": "https://github.com/octocat/Hello-World/pull/1352.diff",
+                "patch_url": "https://github.com/octocat/Hello-World/pull/1352.patch"
+            },
+            "state": "open",
+        },
+        mockPR1353 = {
+            "url": "https://api.github.com/repos/octocat/Hello-World/issues/1353",
+            "number": 1353,
+            "title": "Take care of those nasty hobbitses",
+            "labels": [
+                {
+                    "url": "https://api.github.com/repos/octocat/Hello-World/labels/PR Triage complete",
+                    "name": "PR Triage complete",
+                    "color": "f29513"
+                }
+            ],
+            "user": {
+                "login": "UserThatCreated"
+            },
+            "created_at": "2011-04-22T13:35:49Z",
+            "updated_at": "2011-04-22T13:35:49Z",
+            "assignee": {
+                "login": "ThePersonWhoIsAssigned"
+            },
+            "pull_request": {
+                "url": "https://api.github.com/repos/octocat/Hello-World/pulls/1353",
+                "html_url": "https://github.com/octocat/Hello-World/pull/1353",
+                "diff_url": "https://github.com/octocat/Hello-World/pull/1353.diff",
+                "patch_url": "https://github.com/octocat/Hello-World/pull/1353.patch"
+            },
+            "state": "open"
+        };
+
+
+    beforeEach(function () {
+        var responseIndex = 0;
+        
+        requestedOptions = [];
+        mockConfig = {
+            repo: "my/repo",
+            labels: ["Ready", "Development"],
+            api_key: "FAKE_KEY"
+        };
+        mockResponse = {
+            statusCode: 200
+        };
+        oldRequestObject = tracker_utils.__get__("request");
+        tracker_utils.__set__("request", function (options) {
+            if ((Array.isArray(mockResponse) && responseIndex >= mockResponse.length) ||
+                    (Array.isArray(mockBody) && responseIndex >= mockBody.length)) {
+                return Promise.reject(new Error("Tried to request more times than was expected"));
+            }
+            requestedOptions.push(_.cloneDeep(options));
+            var response = (Array.isArray(mockResponse) ? mockResponse[responseIndex] : mockResponse),
+                body = (Array.isArray(mockBody) ? mockBody[responseIndex] : mockBody);
+            responseIndex++;
+            return Promise.resolve([response, body]);
+        });
+        delays = [];
+        oldDelay = tracker_utils.__get__("delay");
+        tracker_utils.__set__("delay", function (ms) {
+            delays.push(ms);
+            return Promise.resolve();
+        });
+    });
+    
+    afterEach(function () {
+        tracker_utils.__set__("request", oldRequestObject);
+        tracker_utils.__set__("delay", oldDelay);
+    });
+
+    it("should fetch the issues for a repo from GitHub and return the tracked labels in the correct format", function (done) {
+        // This isn't all the content from a GitHub response, just the stuff we should care about.
+        mockBody = JSON.stringify([mockIssue1347, mockIssue1350]);
+        var db = {
+            timestamp: 100,
+            issues: {},
+            pulls: {}
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .then(function (db) {
+                expect(requestedOptions[0].url).toEqual("https://api.github.com/repos/my/repo/issues");
+                expect(requestedOptions[0].qs.access_token).toEqual(mockConfig.api_key);
+                expect(requestedOptions[0].qs.since).toEqual(new Date(100).toISOString());
+                expect(db.timestamp).toEqual(Date.parse("2011-04-22T13:35:49Z"));
+                expect(db.issues[1347].createdAt).toBe(Date.parse("2011-04-22T13:33:48Z"));
+                expect(db.issues[1347].labels).toEqual(["bug", "Ready"]);
+                expect(db.issues[1350].labels).toEqual(["Development", "enhancement"]);
+                expect(db.issues[1347].type).toBe("issue");
+                done();
+            });
+    });
+    
+    it("should handle an unspecified initial timestamp", function (done) {
+        mockBody = JSON.stringify([mockIssue1350]);
+        
+        var db = {
+            issues: {},
+            pulls: {}
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .then(function (currentInfo) {
+                expect(requestedOptions[0].url).toEqual("https://api.github.com/repos/my/repo/issues");
+                expect(requestedOptions[0].qs.access_token).toEqual(mockConfig.api_key);
+                expect(requestedOptions[0].qs.since).toBeUndefined();
+                expect(db.issues[1350].title).toEqual("The Exciting 1350");
+                done();
+            });
+    });
+    
+    it("should use the configured API base URL", function (done) {
+        mockBody = JSON.stringify([mockIssue1350]);
+        mockConfig.api_url = "https://github.example.com/api/v3/";
+        
+        var db = {
+            issues: {}
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .then(function () {
+                expect(requestedOptions[0].url).toEqual("https://github.example.com/api/v3/repos/my/repo/issues");
+                done();
+            });
+    });
+    
+    it("should request multiple pages, accumulating items from them", function (done) {
+        mockBody = [
+            JSON.stringify([mockIssue1347]),
+            JSON.stringify([mockIssue1350])
+        ];
+        mockResponse = [
+            {
+                statusCode: 200,
+                headers: {
+                    "link": "<https://api.github.com/repos/my/repo/issues?page=2&per_page=100>; rel=\"next\", <https://api.github.com/repos/my/repo/issues?page=2&per_page=100>; rel=\"last\""
+                }
+            },
+            {
+                statusCode: 200
+            }
+        ];
+        
+        var db = {
+            timestamp: 100,
+            issues: {},
+            pulls: {}
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .then(function (currentInfo) {
+                var i;
+                for (i = 0; i < 2; i++) {
+                    expect(requestedOptions[i].url).toEqual("https://api.github.com/repos/my/repo/issues");
+                    expect(requestedOptions[i].qs.access_token).toEqual(mockConfig.api_key);
+                    expect(requestedOptions[i].qs.since).toEqual(new Date(100).toISOString());
+                    expect(requestedOptions[i].qs.per_page).toEqual(100);
+                }
+                expect(requestedOptions[0].qs.page).toBeUndefined();
+                expect(requestedOptions[1].qs.page).toEqual("2");
+             
+                expect(db.timestamp).toEqual(Date.parse("2011-04-22T13:35:49Z"));
+                expect(db.issues[1350].title).toEqual("The Exciting 1350");
+                done();
+            });
+    });
+    
+    it("should wait for the rate limit to reset and then retry the page", function (done) {
+        var reset = Math.floor(Date.now() / 1000) + 60;
+        mockBody = [
+            "{\"message\": \"API rate limit exceeded\"}",
+            JSON.stringify([mockIssue1350])
+        ];
+        mockResponse = [
+            {
+                statusCode: 403,
+                headers: {
+                    "x-ratelimit-remaining": "0",
+                    "x-ratelimit-reset": String(reset)
+                }
+            },
+            {
+                statusCode: 200
+            }
+        ];
+        
+        var db = {
+            issues: {}
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .then(function () {
+                expect(requestedOptions.length).toBe(2);
+                expect(delays.length).toBe(1);
+                expect(delays[0]).toBeGreaterThan(55000);
+                expect(delays[0]).not.toBeGreaterThan(61000);
+                expect(db.issues[1350].title).toEqual("The Exciting 1350");
+                done();
+            });
+    });
+    
+    it("should retry server errors with backoff", function (done) {
+        mockBody = [
+            "",
+            "",
+            JSON.stringify([mockIssue1350])
+        ];
+        mockResponse = [
+            {
+                statusCode: 502
+            },
+            {
+                statusCode: 500
+            },
+            {
+                statusCode: 200
+            }
+        ];
+        
+        var db = {
+            issues: {}
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .then(function () {
+                expect(requestedOptions.length).toBe(3);
+                expect(delays).toEqual([1000, 2000]);
+                expect(db.issues[1350].title).toEqual("The Exciting 1350");
+                done();
+            });
+    });
+    
+    it("should start a fresh database", function (done) {
+        mockBody = JSON.stringify([mockIssue1350]);
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, {})
             .then(function (db) {
-                expect(requestedOptions[0].url).toEqual("https://api.github.com/repos/my/repo/issues");
-                expect(requestedOptions[0].qs.access_token).toEqual(mockConfig.api_key);
+                expect(requestedOptions[0].qs.since).toBeUndefined();
+                expect(Object.keys(db.issues)).toEqual(["1350"]);
+                done();
+            });
+    });
+    
+    it("should not retry client errors", function (done) {
+        mockBody = [
+            ""
+        ];
+        mockResponse = [
+            {
+                statusCode: 404
+            }
+        ];
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, { issues: {} })
+            .catch(function (err) {
+                expect(err.message).toBe("Got bad status code: 404");
+                expect(delays).toEqual([]);
+                done();
+            });
+    });
+    
+    it("should leave a checkpoint without moving the timestamp if paging fails", function (done) {
+        mockBody = [
+            JSON.stringify([mockIssue1347]),
+            ""
+        ];
+        mockResponse = [
+            {
+                statusCode: 200,
+                headers: {
+                    "link": "<https://api.github.com/repos/my/repo/issues?page=2&per_page=100>; rel=\"next\", <https://api.github.com/repos/my/repo/issues?page=2&per_page=100>; rel=\"last\""
+                }
+            },
+            {
+                statusCode: 401
+            }
+        ];
+        
+        var db = {
+            timestamp: 100,
+            issues: {}
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .catch(function () {
+                expect(db.timestamp).toBe(100);
+                expect(db.issues[1347].title).toEqual(mockIssue1347.title);
+                expect(db.checkpoints).toEqual({
+                    issues: {
+                        since: 100,
+                        page: 1,
+                        timestamp: Date.parse("2011-04-22T13:33:48Z")
+                    }
+                });
+                done();
+            });
+    });
+    
+    it("should resume from a checkpoint, and clear it when done", function (done) {
+        mockBody = JSON.stringify([mockIssue1350]);
+        
+        var db = {
+            timestamp: 100,
+            issues: {},
+            checkpoints: {
+                issues: {
+                    since: 100,
+                    page: 1,
+                    timestamp: Date.parse("2011-04-22T13:33:48Z")
+                }
+            }
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .then(function () {
+                expect(requestedOptions.length).toBe(1);
+                expect(requestedOptions[0].qs.page).toBe(2);
                 expect(requestedOptions[0].qs.since).toEqual(new Date(100).toISOString());
-                expect(db.timestamp).toEqual(Date.parse("2011-04-22T13:35:49Z"));
-                expect(db.issues[1347].createdAt).toBe(Date.parse("2011-04-22T13:33:48Z"));
-                expect(db.issues[1347].labels).toEqual(["bug", "Ready"]);
-                expect(db.issues[1350].labels).toEqual(["Development", "enhancement"]);
-                expect(db.issues[1347].type).toBe("issue");
+                expect(db.timestamp).toBe(Date.parse("2011-04-22T13:35:49Z"));
+                expect(db.checkpoints).toBeUndefined();
                 done();
             });
     });
     
-    it("should handle an unspecified initial timestamp", function (done) {
+    it("should ignore a checkpoint from a different starting time", function (done) {
         mockBody = JSON.stringify([mockIssue1350]);
         
         var db = {
+            timestamp: 200,
             issues: {},
-            pulls: {}
+            checkpoints: {
+                issues: {
+                    since: 100,
+                    page: 1,
+                    timestamp: Date.parse("2011-04-22T13:33:48Z")
+                }
+            }
         };
         
         tracker_utils.getLatestIssueInfo(mockConfig, db)
-            .then(function (currentInfo) {
-                expect(requestedOptions[0].url).toEqual("https://api.github.com/repos/my/repo/issues");
-                expect(requestedOptions[0].qs.access_token).toEqual(mockConfig.api_key);
-                expect(requestedOptions[0].qs.since).toBeUndefined();
-                expect(db.issues[1350].title).toEqual("The Exciting 1350");
+            .then(function () {
+                expect(requestedOptions[0].qs.page).toBeUndefined();
+                expect(db.checkpoints).toBeUndefined();
                 done();
             });
     });
     
-    it("should request multiple pages, accumulating items from them", function (done) {
+    it("should store the ETags from each page, but only once all the pages have been fetched", function (done) {
         mockBody = [
             JSON.stringify([mockIssue1347]),
             JSON.stringify([mockIssue1350])
@@ -491,34 +1572,259 @@ describe("getLatestIssueInfo", function () {
             {
                 statusCode: 200,
                 headers: {
+                    "etag": "\"page1\"",
+                    "last-modified": "Tue, 22 Apr 2011 13:35:49 GMT",
+                    "link": "<https://api.github.com/repos/my/repo/issues?page=2&per_page=100>; rel=\"next\", <https://api.github.com/repos/my/repo/issues?page=2&per_page=100>; rel=\"last\""
+                }
+            },
+            {
+                statusCode: 200,
+                headers: {
+                    "etag": "\"page2\""
+                }
+            }
+        ];
+        
+        var db = {
+            issues: {},
+            etags: {}
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .then(function () {
+                expect(requestedOptions[0].headers["If-None-Match"]).toBeUndefined();
+                expect(db.etags).toEqual({
+                    "https://api.github.com/repos/my/repo/issues?direction=desc&page=1&per_page=100&sort=updated&state=all": {
+                        etag: "\"page1\"",
+                        lastModified: "Tue, 22 Apr 2011 13:35:49 GMT",
+                        checked: jasmine.any(Number)
+                    },
+                    "https://api.github.com/repos/my/repo/issues?direction=desc&page=2&per_page=100&sort=updated&state=all": {
+                        etag: "\"page2\"",
+                        lastModified: undefined,
+                        checked: jasmine.any(Number)
+                    }
+                });
+                done();
+            });
+    });
+    
+    it("should send conditional requests and treat a 304 as no changes", function (done) {
+        mockBody = [
+            ""
+        ];
+        mockResponse = [
+            {
+                statusCode: 304
+            }
+        ];
+        
+        var db = {
+            timestamp: 100,
+            issues: {},
+            etags: {
+                "https://api.github.com/repos/my/repo/issues?direction=desc&page=1&per_page=100&since=1970-01-01T00%3A00%3A00.100Z&sort=updated&state=all": {
+                    etag: "\"page1\"",
+                    lastModified: "Tue, 22 Apr 2011 13:35:49 GMT",
+                    checked: 1
+                }
+            }
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .then(function () {
+                expect(requestedOptions.length).toBe(1);
+                expect(requestedOptions[0].headers["If-None-Match"]).toBe("\"page1\"");
+                expect(requestedOptions[0].headers["If-Modified-Since"]).toBe("Tue, 22 Apr 2011 13:35:49 GMT");
+                expect(db.timestamp).toBe(100);
+                expect(db.issues).toEqual({});
+                expect(delays).toEqual([]);
+                expect(_.values(db.etags)[0].checked).toBeGreaterThan(1);
+                done();
+            });
+    });
+    
+    it("should not send the ETag of a page that was requested with a different query", function (done) {
+        mockBody = [
+            JSON.stringify([])
+        ];
+        mockResponse = [
+            {
+                statusCode: 200,
+                headers: {
+                    "etag": "\"open\""
+                }
+            }
+        ];
+        
+        var db = {
+                issues: {}
+            },
+            etags = {
+                "https://api.github.com/repos/my/repo/pulls?direction=desc&page=1&per_page=100&sort=updated&state=all": {
+                    etag: "\"all\"",
+                    checked: 1
+                }
+            };
+        
+        tracker_utils.getRequestedReviewers(mockConfig, db, etags)
+            .then(function () {
+                expect(requestedOptions[0].headers["If-None-Match"]).toBeUndefined();
+                expect(etags["https://api.github.com/repos/my/repo/pulls?direction=desc&page=1&per_page=100&sort=updated&state=open"].etag)
+                    .toBe("\"open\"");
+                expect(_.some(Object.keys(etags), function (key) {
+                    return key.indexOf("FAKE") !== -1 || key.indexOf("access_token") !== -1;
+                })).toBe(false);
+                done();
+            });
+    });
+    
+    it("should prune the ETags that weren't checked since the given time", function () {
+        var etags = {
+            "https://api.github.com/repos/my/repo/pulls/1/reviews?page=1&per_page=100": { etag: "\"closed\"", checked: 100 },
+            "https://api.github.com/repos/my/repo/pulls/2/reviews?page=1&per_page=100": { etag: "\"open\"", checked: 200 },
+            "https://api.github.com/repos/my/repo/issues?page=1": { etag: "\"old\"" }
+        };
+        expect(tracker_utils.pruneEtags(etags, 200)).toEqual({
+            "https://api.github.com/repos/my/repo/pulls/2/reviews?page=1&per_page=100": { etag: "\"open\"", checked: 200 }
+        });
+    });
+    
+    it("should not update the ETags if paging fails", function (done) {
+        mockBody = [
+            JSON.stringify([mockIssue1347]),
+            ""
+        ];
+        mockResponse = [
+            {
+                statusCode: 200,
+                headers: {
+                    "etag": "\"page1\"",
                     "link": "<https://api.github.com/repos/my/repo/issues?page=2&per_page=100>; rel=\"next\", <https://api.github.com/repos/my/repo/issues?page=2&per_page=100>; rel=\"last\""
                 }
             },
             {
-                statusCode: 200
+                statusCode: 401
+            }
+        ];
+        
+        var db = {
+            issues: {},
+            etags: {}
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .catch(function () {
+                expect(db.etags).toEqual({});
+                done();
+            });
+    });
+    
+    it("should keep all the assignees", function (done) {
+        var pr = _.cloneDeep(mockPR1353);
+        pr.assignees = [{ login: "ThePersonWhoIsAssigned" }, { login: "AnotherAssignee" }];
+        mockBody = JSON.stringify([pr, mockPR1352]);
+        
+        var db = {
+            issues: {
+                1353: {
+                    requestedReviewers: ["AReviewer"]
+                }
+            }
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .then(function () {
+                expect(db.issues[1353].assignee).toBe("ThePersonWhoIsAssigned");
+                expect(db.issues[1353].assignees).toEqual(["ThePersonWhoIsAssigned", "AnotherAssignee"]);
+                expect(db.issues[1353].requestedReviewers).toEqual(["AReviewer"]);
+                expect(db.issues[1352].requestedReviewers).toBeUndefined();
+                done();
+            });
+    });
+    
+    it("should fall back to the single assignee if there's no list of assignees", function (done) {
+        mockBody = JSON.stringify([mockPR1353]);
+        
+        var db = {
+            issues: {}
+        };
+        
+        tracker_utils.getLatestIssueInfo(mockConfig, db)
+            .then(function () {
+                expect(db.issues[1353].assignees).toEqual(["ThePersonWhoIsAssigned"]);
+                done();
+            });
+    });
+    
+    it("should store the requested reviewers for open pull requests", function (done) {
+        mockBody = JSON.stringify([
+            {
+                number: 1353,
+                requested_reviewers: [{ login: "AReviewer" }, { login: "AnotherReviewer" }]
+            },
+            {
+                number: 9999,
+                requested_reviewers: [{ login: "AReviewer" }]
             }
-        ];
+        ]);
         
         var db = {
-            timestamp: 100,
-            issues: {},
-            pulls: {}
+            issues: {
+                1353: {
+                    type: "pull",
+                    assignees: ["ThePersonWhoIsAssigned"]
+                }
+            }
         };
         
-        tracker_utils.getLatestIssueInfo(mockConfig, db)
-            .then(function (currentInfo) {
-                var i;
-                for (i = 0; i < 2; i++) {
-                    expect(requestedOptions[i].url).toEqual("https://api.github.com/repos/my/repo/issues");
-                    expect(requestedOptions[i].qs.access_token).toEqual(mockConfig.api_key);
-                    expect(requestedOptions[i].qs.since).toEqual(new Date(100).toISOString());
-                    expect(requestedOptions[i].qs.per_page).toEqual(100);
+        tracker_utils.getRequestedReviewers(mockConfig, db)
+            .then(function () {
+                expect(requestedOptions[0].url).toEqual("https://api.github.com/repos/my/repo/pulls");
+                expect(requestedOptions[0].qs.state).toEqual("open");
+                expect(db.issues[1353].requestedReviewers).toEqual(["AReviewer", "AnotherReviewer"]);
+                expect(db.issues[9999]).toBeUndefined();
+                expect(tracker_utils.getReviewers(db.issues[1353])).toEqual(["ThePersonWhoIsAssigned", "AReviewer", "AnotherReviewer"]);
+                done();
+            });
+    });
+    
+    it("should keep reviewers who have been taken off the requested list after reviewing", function (done) {
+        mockBody = JSON.stringify([
+            {
+                number: 1353,
+                user: { login: "TheRequestor" },
+                requested_reviewers: [{ login: "AnotherReviewer" }]
+            }
+        ]);
+        
+        var config = { labels: [] },
+            log = {
+                timestamp: 10,
+                pullRequests: {}
+            },
+            db = {
+                issues: {
+                    1353: {
+                        type: "pull",
+                        state: "open",
+                        user: "TheRequestor",
+                        assignees: [],
+                        requestedReviewers: ["AReviewer"],
+                        number: 1353
+                    }
                 }
-                expect(requestedOptions[0].qs.page).toBeUndefined();
-                expect(requestedOptions[1].qs.page).toEqual("2");
-             
-                expect(db.timestamp).toEqual(Date.parse("2011-04-22T13:35:49Z"));
-                expect(db.issues[1350].title).toEqual("The Exciting 1350");
+            };
+        
+        tracker_utils.getRequestedReviewers(mockConfig, db)
+            .then(function () {
+                expect(db.issues[1353].requestedReviewers).toEqual(["AReviewer", "AnotherReviewer"]);
+                
+                tracker_utils.updateLog(config, log, db, {
+                    timestamp: 10,
+                    prCommentTimestamps: [{ id: 1353, user: "AReviewer", created: 5 }]
+                });
+                expect(log.pullRequests[1353].latestAssigneeComment).toEqual(5);
                 done();
             });
     });
@@ -540,6 +1846,7 @@ describe("getLatestIssueInfo", function () {
                 expect(pull.labels).toEqual(["PR Triage complete"]);
                 expect(pull.title).toEqual(mockPR1352.title);
                 expect(pull.assignee).toBeNull();
+                expect(pull.assignees).toEqual([]);
                 expect(pull.user).toBe("UserThatCreated");
                 expect(pull.createdAt).toBe(Date.parse("2011-04-22T13:35:49Z"));
                 done();
@@ -716,4 +2023,417 @@ describe("getLatestCommentInfo", function () {
                 done();
             });
     });
-});
\ No newline at end of file
+});
+
+describe("review comments and reviews", function () {
+    var mockConfig,
+        mockResponse,
+        mockBody,
+        requestedOptions,
+        oldRequestObject;
+
+    beforeEach(function () {
+        var responseIndex = 0;
+
+        requestedOptions = [];
+        mockConfig = {
+            repo: "my/repo",
+            labels: ["Ready", "Development"],
+            api_key: "FAKE_KEY"
+        };
+        mockResponse = {
+            statusCode: 200
+        };
+        oldRequestObject = tracker_utils.__get__("request");
+        tracker_utils.__set__("request", function (options) {
+            if ((Array.isArray(mockResponse) && responseIndex >= mockResponse.length) ||
+                    (Array.isArray(mockBody) && responseIndex >= mockBody.length)) {
+                return Promise.reject(new Error("Tried to request more times than was expected"));
+            }
+            requestedOptions.push(_.cloneDeep(options));
+            var response = (Array.isArray(mockResponse) ? mockResponse[responseIndex] : mockResponse),
+                body = (Array.isArray(mockBody) ? mockBody[responseIndex] : mockBody);
+            responseIndex++;
+            return Promise.resolve([response, body]);
+        });
+    });
+
+    afterEach(function () {
+        tracker_utils.__set__("request", oldRequestObject);
+    });
+
+    var reviewComment = {
+        "url": "https://api.github.com/repos/octocat/Hello-World/pulls/comments/1",
+        "pull_request_url": "https://api.github.com/repos/octocat/Hello-World/pulls/22",
+        "id": 1,
+        "user": {
+            "login": "AReviewer"
+        },
+        "created_at": "2014-06-10T18:35:37Z",
+        "updated_at": "2014-06-10T18:35:37Z",
+        "body": "This line could be shorter."
+    };
+
+    var review = {
+        "id": 80,
+        "user": {
+            "login": "AReviewer"
+        },
+        "state": "APPROVED",
+        "submitted_at": "2014-06-11T18:35:37Z"
+    };
+
+    var pendingReview = {
+        "id": 81,
+        "user": {
+            "login": "SomeoneElse"
+        },
+        "state": "PENDING"
+    };
+
+    it("should fetch the review comments for a repo and return them in the same format as issue comments", function (done) {
+        mockBody = JSON.stringify([reviewComment]);
+
+        tracker_utils.getLatestReviewComments(mockConfig, 100)
+            .then(function (latestComments) {
+                expect(requestedOptions[0].url).toEqual("https://api.github.com/repos/my/repo/pulls/comments");
+                expect(requestedOptions[0].qs.since).toEqual(new Date(100).toISOString());
+                expect(latestComments).toEqual({
+                    timestamp: Date.parse("2014-06-10T18:35:37Z"),
+                    prCommentTimestamps: [
+                        {
+                            id: 22,
+                            user: "AReviewer",
+                            created: Date.parse("2014-06-10T18:35:37Z")
+                        }
+                    ]
+                });
+                done();
+            });
+    });
+
+    it("should fetch the submitted reviews for open pull requests updated since the last run", function (done) {
+        var db = {
+            issues: {
+                22: {
+                    type: "pull",
+                    state: "open",
+                    updatedAt: Date.parse("2014-06-11T18:35:37Z")
+                },
+                23: {
+                    type: "pull",
+                    state: "open",
+                    updatedAt: 50
+                },
+                24: {
+                    type: "pull",
+                    state: "closed",
+                    updatedAt: Date.parse("2014-06-11T18:35:37Z")
+                },
+                25: {
+                    type: "issue",
+                    state: "open",
+                    updatedAt: Date.parse("2014-06-11T18:35:37Z")
+                }
+            }
+        };
+        mockBody = [
+            JSON.stringify([review, pendingReview])
+        ];
+
+        tracker_utils.getLatestReviews(mockConfig, db, 100)
+            .then(function (latestReviews) {
+                expect(requestedOptions.length).toBe(1);
+                expect(requestedOptions[0].url).toEqual("https://api.github.com/repos/my/repo/pulls/22/reviews");
+                expect(latestReviews.prCommentTimestamps).toEqual([
+                    {
+                        id: 22,
+                        user: "AReviewer",
+                        created: Date.parse("2014-06-11T18:35:37Z")
+                    }
+                ]);
+                done();
+            });
+    });
+
+    it("should leave pending reviews out of the timestamp", function (done) {
+        var db = {
+            issues: {
+                22: { type: "pull", state: "open", updatedAt: Date.parse("2014-06-11T18:35:37Z") },
+                23: { type: "pull", state: "open", updatedAt: Date.parse("2014-06-11T18:35:37Z") }
+            }
+        };
+        mockBody = [
+            JSON.stringify([pendingReview]),
+            JSON.stringify([pendingReview, review]),
+            JSON.stringify([pendingReview])
+        ];
+
+        tracker_utils.getLatestReviews(mockConfig, db, 100)
+            .then(function (latestReviews) {
+                expect(latestReviews.timestamp).toBe(Date.parse("2014-06-11T18:35:37Z"));
+                expect(latestReviews.prCommentTimestamps.length).toBe(1);
+                return tracker_utils.getLatestReviews(mockConfig, { issues: { 22: db.issues[22] } }, 100);
+            })
+            .then(function (latestReviews) {
+                expect(latestReviews.timestamp).toBe(100);
+                expect(latestReviews.prCommentTimestamps).toEqual([]);
+                done();
+            });
+    });
+
+    it("should merge comment info from several sources", function () {
+        expect(tracker_utils.mergeCommentInfo(
+            { timestamp: 10, prCommentTimestamps: [{ id: 1, user: "a", created: 10 }] },
+            undefined,
+            { timestamp: 20, prCommentTimestamps: [{ id: 2, user: "b", created: 20 }] }
+        )).toEqual({
+            timestamp: 20,
+            prCommentTimestamps: [
+                { id: 1, user: "a", created: 10 },
+                { id: 2, user: "b", created: 20 }
+            ]
+        });
+    });
+});
+
+describe("getLatestEvents", function () {
+    var mockConfig,
+        mockResponse,
+        mockBody,
+        requestedOptions,
+        oldRequestObject;
+
+    beforeEach(function () {
+        var responseIndex = 0;
+
+        requestedOptions = [];
+        mockConfig = {
+            repo: "my/repo",
+            labels: ["Ready", "Development"],
+            api_key: "FAKE_KEY"
+        };
+        mockResponse = {
+            statusCode: 200
+        };
+        oldRequestObject = tracker_utils.__get__("request");
+        tracker_utils.__set__("request", function (options) {
+            if ((Array.isArray(mockResponse) && responseIndex >= mockResponse.length) ||
+                    (Array.isArray(mockBody) && responseIndex >= mockBody.length)) {
+                return Promise.reject(new Error("Tried to request more times than was expected"));
+            }
+            requestedOptions.push(_.cloneDeep(options));
+            var response = (Array.isArray(mockResponse) ? mockResponse[responseIndex] : mockResponse),
+                body = (Array.isArray(mockBody) ? mockBody[responseIndex] : mockBody);
+            responseIndex++;
+            return Promise.resolve([response, body]);
+        });
+    });
+
+    afterEach(function () {
+        tracker_utils.__set__("request", oldRequestObject);
+    });
+
+    var labeledEvent = {
+        "id": 3,
+        "actor": {
+            "login": "TheMover"
+        },
+        "event": "labeled",
+        "label": {
+            "name": "Development",
+            "color": "f29513"
+        },
+        "issue": {
+            "number": 1347
+        },
+        "created_at": "2014-06-10T18:35:37Z"
+    };
+
+    var assignedEvent = {
+        "id": 2,
+        "actor": {
+            "login": "TheMover"
+        },
+        "event": "assigned",
+        "issue": {
+            "number": 1347
+        },
+        "created_at": "2014-06-09T18:35:37Z"
+    };
+
+    var unlabeledEvent = {
+        "id": 1,
+        "actor": {
+            "login": "SomeoneElse"
+        },
+        "event": "unlabeled",
+        "label": {
+            "name": "Ready",
+            "color": "f29513"
+        },
+        "issue": {
+            "number": 1347
+        },
+        "created_at": "2014-06-08T18:35:37Z"
+    };
+
+    it("should fetch the events for a repo from GitHub and return the label events in the correct format", function (done) {
+        mockBody = JSON.stringify([labeledEvent, assignedEvent, unlabeledEvent]);
+
+        tracker_utils.getLatestEvents(mockConfig, 100)
+            .then(function (latestEvents) {
+                expect(requestedOptions[0].url).toEqual("https://api.github.com/repos/my/repo/issues/events");
+                expect(requestedOptions[0].qs.access_token).toEqual(mockConfig.api_key);
+                expect(latestEvents).toEqual({
+                    timestamp: Date.parse("2014-06-10T18:35:37Z"),
+                    labelEvents: [
+                        {
+                            id: 1347,
+                            event: "labeled",
+                            label: "Development",
+                            user: "TheMover",
+                            created: Date.parse("2014-06-10T18:35:37Z")
+                        },
+                        {
+                            id: 1347,
+                            event: "unlabeled",
+                            label: "Ready",
+                            user: "SomeoneElse",
+                            created: Date.parse("2014-06-08T18:35:37Z")
+                        }
+                    ],
+                    stateEvents: [],
+                    milestoneEvents: [],
+                    assigneeEvents: []
+                });
+                done();
+            });
+    });
+
+    it("should return the state events", function (done) {
+        mockBody = JSON.stringify([
+            { id: 6, actor: { login: "TheCloser" }, event: "closed", state_reason: "completed", issue: { number: 1347 }, created_at: "2014-06-12T18:35:37Z" },
+            { id: 5, actor: { login: "TheMerger" }, event: "merged", issue: { number: 1350 }, created_at: "2014-06-11T18:35:37Z" },
+            { id: 4, actor: null, event: "reopened", issue: { number: 1347 }, created_at: "2014-06-10T18:35:37Z" }
+        ]);
+
+        tracker_utils.getLatestEvents(mockConfig, 100)
+            .then(function (latestEvents) {
+                expect(latestEvents.labelEvents).toEqual([]);
+                expect(latestEvents.stateEvents).toEqual([
+                    { id: 1347, event: "closed", reason: "completed", user: "TheCloser", created: Date.parse("2014-06-12T18:35:37Z") },
+                    { id: 1350, event: "merged", user: "TheMerger", created: Date.parse("2014-06-11T18:35:37Z") },
+                    { id: 1347, event: "reopened", user: null, created: Date.parse("2014-06-10T18:35:37Z") }
+                ]);
+                done();
+            });
+    });
+
+    it("should return the milestone and assignee events", function (done) {
+        mockBody = JSON.stringify([
+            { id: 9, actor: { login: "ThePlanner" }, event: "milestoned", milestone: { title: "Release 2" }, issue: { number: 1347 }, created_at: "2014-06-12T18:35:37Z" },
+            { id: 8, actor: { login: "ThePlanner" }, event: "demilestoned", milestone: { title: "Release 1" }, issue: { number: 1347 }, created_at: "2014-06-12T18:35:37Z" },
+            { id: 7, actor: { login: "TheLead" }, event: "unassigned", assignee: { login: "Dev1" }, issue: { number: 1350 }, created_at: "2014-06-11T18:35:37Z" },
+            { id: 6, actor: { login: "TheLead" }, event: "assigned", assignee: { login: "Dev2" }, issue: { number: 1350 }, created_at: "2014-06-11T18:35:37Z" }
+        ]);
+
+        tracker_utils.getLatestEvents(mockConfig, 100)
+            .then(function (latestEvents) {
+                expect(latestEvents.milestoneEvents).toEqual([
+                    { id: 1347, event: "milestoned", milestone: "Release 2", user: "ThePlanner", created: Date.parse("2014-06-12T18:35:37Z") },
+                    { id: 1347, event: "demilestoned", milestone: "Release 1", user: "ThePlanner", created: Date.parse("2014-06-12T18:35:37Z") }
+                ]);
+                expect(latestEvents.assigneeEvents).toEqual([
+                    { id: 1350, event: "unassigned", assignee: "Dev1", user: "TheLead", created: Date.parse("2014-06-11T18:35:37Z") },
+                    { id: 1350, event: "assigned", assignee: "Dev2", user: "TheLead", created: Date.parse("2014-06-11T18:35:37Z") }
+                ]);
+                done();
+            });
+    });
+
+    it("should stop paging when it reaches an event from before the last run", function (done) {
+        mockBody = [
+            JSON.stringify([labeledEvent, unlabeledEvent])
+        ];
+        mockResponse = [
+            {
+                statusCode: 200,
+                headers: {
+                    "link": "<https://api.github.com/repos/my/repo/issues/events?page=2&per_page=100>; rel=\"next\", <https://api.github.com/repos/my/repo/issues/events?page=2&per_page=100>; rel=\"last\""
+                }
+            }
+        ];
+
+        tracker_utils.getLatestEvents(mockConfig, Date.parse("2014-06-09T00:00:00Z"))
+            .then(function (latestEvents) {
+                expect(requestedOptions.length).toBe(1);
+                expect(latestEvents.labelEvents.length).toBe(1);
+                expect(latestEvents.labelEvents[0].label).toBe("Development");
+                done();
+            });
+    });
+});
+
+describe("file handling", function () {
+    var dir;
+
+    beforeEach(function () {
+        dir = path.join(os.tmpdir(), "label-tracker-files-" + process.pid + "-" + Date.now());
+        fs.mkdirSync(dir);
+    });
+
+    afterEach(function () {
+        fs.readdirSync(dir).forEach(function (filename) {
+            fs.unlinkSync(path.join(dir, filename));
+        });
+        fs.rmdirSync(dir);
+    });
+
+    it("should treat a missing JSON file as empty", function (done) {
+        tracker_utils.readJSON(path.join(dir, "missing.json"))
+            .then(function (contents) {
+                expect(contents).toEqual({});
+                done();
+            });
+    });
+
+    it("should refuse to read a JSON file that can't be parsed", function (done) {
+        var filename = path.join(dir, "log.json");
+        fs.writeFileSync(filename, "{\"timestamp\": 1, \"issueLa");
+        tracker_utils.readJSON(filename)
+            .then(function () {
+                expect("should not have read the file").toBeUndefined();
+                done();
+            }, function (err) {
+                expect(err.message).toContain("Couldn't parse " + filename);
+                done();
+            });
+    });
+
+    it("should write a file atomically, leaving no temp file behind", function (done) {
+        var filename = path.join(dir, "log.json");
+        fs.writeFileSync(filename, "old");
+        tracker_utils.writeFileAtomic(filename, "new")
+            .then(function () {
+                expect(fs.readFileSync(filename, "utf8")).toBe("new");
+                expect(fs.readdirSync(dir)).toEqual(["log.json"]);
+                done();
+            });
+    });
+
+    it("should back up a file, and do nothing if it doesn't exist", function (done) {
+        var filename = path.join(dir, "log.json"),
+            backupFilename = path.join(dir, "log.backup.json");
+        tracker_utils.backupFile(filename, backupFilename)
+            .then(function () {
+                expect(fs.existsSync(backupFilename)).toBe(false);
+                fs.writeFileSync(filename, "old");
+                return tracker_utils.backupFile(filename, backupFilename);
+            })
+            .then(function () {
+                expect(fs.readFileSync(backupFilename, "utf8")).toBe("old");
+                done();
+            });
+    });
+});
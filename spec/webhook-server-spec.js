@@ -0,0 +1,353 @@
+/*
+ * Copyright (c) 2014 Adobe Systems Incorporated. All rights reserved.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global expect, describe, it, beforeEach, afterEach, createSpy, waitsFor */
+
+"use strict";
+
+var crypto = require("crypto"),
+    http = require("http"),
+    _ = require("lodash"),
+    rewire = require("rewire"),
+    webhook_server = rewire("../lib/webhook-server");
+
+describe("webhook server", function () {
+    var secret = "It's a secret to everybody";
+    
+    function sign(body, algorithm) {
+        algorithm = algorithm || "sha256";
+        return algorithm + "=" + crypto.createHmac(algorithm, secret).update(body).digest("hex");
+    }
+    
+    describe("verifySignature", function () {
+        var body = "{\"action\": \"labeled\"}";
+        
+        it("should accept a valid SHA-256 signature", function () {
+            expect(webhook_server.verifySignature(secret, body, {
+                "x-hub-signature-256": sign(body)
+            })).toBe(true);
+        });
+        
+        it("should fall back to the SHA-1 signature", function () {
+            expect(webhook_server.verifySignature(secret, body, {
+                "x-hub-signature": sign(body, "sha1")
+            })).toBe(true);
+        });
+        
+        it("should reject a bad or missing signature", function () {
+            expect(webhook_server.verifySignature(secret, body, {
+                "x-hub-signature-256": sign(body + " ")
+            })).toBe(false);
+            expect(webhook_server.verifySignature(secret, body, {})).toBe(false);
+            expect(webhook_server.verifySignature(undefined, body, {
+                "x-hub-signature-256": sign(body)
+            })).toBe(false);
+        });
+    });
+    
+    describe("applyWebhookEvent", function () {
+        var config = {
+                repo: "my/repo",
+                labels: ["Ready", "Development"]
+            },
+            issue = {
+                "number": 1347,
+                "title": "Fix the frobbitz",
+                "user": { "login": "ABracketsUser" },
+                "labels": [{ "name": "Development" }, { "name": "bug" }],
+                "state": "open",
+                "created_at": "2014-06-01T10:00:00Z",
+                "updated_at": "2014-06-10T10:00:00Z"
+            },
+            pullRequest = {
+                "number": 1352,
+                "title": "Makes the frobbitz less susceptible to frammis",
+                "user": { "login": "UserThatCreated" },
+                "labels": [],
+                "state": "open",
+                "assignee": null,
+                "assignees": [],
+                "requested_reviewers": [{ "login": "AReviewer" }],
+                "head": { "ref": "frammis" },
+                "created_at": "2014-06-01T10:00:00Z",
+                "updated_at": "2014-06-10T10:00:00Z"
+            },
+            log,
+            db;
+        
+        beforeEach(function () {
+            log = {
+                timestamp: Date.parse("2014-06-01T10:00:00Z"),
+                issueLabels: {
+                    1347: {
+                        changes: {},
+                        current: ["Ready"]
+                    }
+                }
+            };
+            db = {
+                timestamp: Date.parse("2014-06-01T10:00:00Z"),
+                issues: {}
+            };
+        });
+        
+        it("should record label changes at the time the issue was updated, without moving the log timestamp", function () {
+            var applied = webhook_server.applyWebhookEvent(config, log, db, "issues", {
+                action: "labeled",
+                issue: issue,
+                label: { name: "Development" },
+                sender: { login: "TheMover" }
+            });
+            
+            expect(applied).toBe(true);
+            expect(db.issues[1347].labels).toEqual(["Development", "bug"]);
+            expect(log.timestamp).toBe(Date.parse("2014-06-01T10:00:00Z"));
+            expect(log.issueLabels[1347].changes).toEqual({
+                1402394400000: {
+                    added: ["Development"],
+                    addedBy: { Development: "TheMover" },
+                    removed: ["Ready"],
+                    removedBy: { Ready: "TheMover" }
+                }
+            });
+            expect(log.issueLabels[1347].current).toEqual(["Development"]);
+        });
+        
+        it("should store pull requests with their requested reviewers", function () {
+            webhook_server.applyWebhookEvent(config, log, db, "pull_request", {
+                action: "review_requested",
+                pull_request: pullRequest,
+                sender: { login: "UserThatCreated" }
+            });
+            
+            expect(db.issues[1352].type).toBe("pull");
+            expect(db.issues[1352].requestedReviewers).toEqual(["AReviewer"]);
+            expect(db.issues[1352].head).toBeUndefined();
+            expect(log.pullRequests[1352]).toEqual({});
+        });
+        
+        it("should count submitted reviews and pull request comments as activity", function () {
+            webhook_server.applyWebhookEvent(config, log, db, "pull_request_review", {
+                action: "submitted",
+                pull_request: pullRequest,
+                review: {
+                    user: { login: "AReviewer" },
+                    submitted_at: "2014-06-10T10:00:00Z"
+                },
+                sender: { login: "AReviewer" }
+            });
+            
+            var prIssue = _.extend({}, issue, {
+                number: 1352,
+                user: { login: "UserThatCreated" },
+                labels: [],
+                pull_request: {}
+            });
+            webhook_server.applyWebhookEvent(config, log, db, "issue_comment", {
+                action: "created",
+                issue: prIssue,
+                comment: {
+                    user: { login: "UserThatCreated" },
+                    created_at: "2014-06-11T10:00:00Z"
+                },
+                sender: { login: "UserThatCreated" }
+            });
+            
+            expect(db.issues[1352].requestedReviewers).toEqual(["AReviewer"]);
+            expect(log.pullRequests[1352]).toEqual({
+                latestAssigneeComment: Date.parse("2014-06-10T10:00:00Z"),
+                latestUserComment: Date.parse("2014-06-11T10:00:00Z")
+            });
+        });
+        
+        it("should count reviews from reviewers GitHub has taken off the requested list", function () {
+            webhook_server.applyWebhookEvent(config, log, db, "pull_request", {
+                action: "review_requested",
+                pull_request: pullRequest,
+                sender: { login: "UserThatCreated" }
+            });
+            webhook_server.applyWebhookEvent(config, log, db, "pull_request_review", {
+                action: "submitted",
+                pull_request: _.extend({}, pullRequest, { requested_reviewers: [] }),
+                review: {
+                    user: { login: "AReviewer" },
+                    submitted_at: "2014-06-10T10:00:00Z"
+                },
+                sender: { login: "AReviewer" }
+            });
+            
+            expect(db.issues[1352].requestedReviewers).toEqual(["AReviewer"]);
+            expect(log.pullRequests[1352].latestAssigneeComment).toBe(Date.parse("2014-06-10T10:00:00Z"));
+        });
+        
+        it("should record merges and closes with the user who made them", function () {
+            webhook_server.applyWebhookEvent(config, log, db, "pull_request", {
+                action: "closed",
+                pull_request: _.extend({}, pullRequest, {
+                    state: "closed",
+                    updated_at: "2014-06-12T10:00:00Z",
+                    closed_at: "2014-06-12T10:00:00Z",
+                    merged_at: "2014-06-12T10:00:00Z"
+                }),
+                sender: { login: "AReviewer" }
+            });
+            webhook_server.applyWebhookEvent(config, log, db, "issues", {
+                action: "closed",
+                issue: _.extend({}, issue, {
+                    state: "closed",
+                    state_reason: "not_planned",
+                    updated_at: "2014-06-12T11:00:00Z",
+                    closed_at: "2014-06-12T11:00:00Z"
+                }),
+                sender: { login: "TheMover" }
+            });
+
+            expect(_.last(log.issueStates[1352])).toEqual({
+                event: "merged",
+                timestamp: Date.parse("2014-06-12T10:00:00Z"),
+                actor: "AReviewer"
+            });
+            expect(_.last(log.issueStates[1347])).toEqual({
+                event: "closed",
+                timestamp: Date.parse("2014-06-12T11:00:00Z"),
+                actor: "TheMover",
+                reason: "not_planned"
+            });
+        });
+
+        it("should record milestone and assignee changes with the user who made them", function () {
+            webhook_server.applyWebhookEvent(config, log, db, "issues", {
+                action: "assigned",
+                issue: _.extend({}, issue, {
+                    milestone: { title: "Release 1" },
+                    assignees: [{ login: "ADeveloper" }]
+                }),
+                assignee: { login: "ADeveloper" },
+                sender: { login: "TheLead" }
+            });
+
+            expect(log.issueMilestones[1347]).toEqual({
+                changes: { 1402394400000: { added: ["Release 1"], addedBy: { "Release 1": "TheLead" } } },
+                current: ["Release 1"]
+            });
+            expect(log.issueAssignees[1347]).toEqual({
+                changes: { 1402394400000: { added: ["ADeveloper"], addedBy: { ADeveloper: "TheLead" } } },
+                current: ["ADeveloper"]
+            });
+        });
+
+        it("should ignore other events", function () {
+            expect(webhook_server.applyWebhookEvent(config, log, db, "push", {})).toBe(false);
+            expect(db.issues).toEqual({});
+        });
+    });
+    
+    describe("createServer", function () {
+        var server,
+            received,
+            oldMaxBodySize = webhook_server.__get__("MAX_BODY_SIZE");
+        
+        beforeEach(function (done) {
+            received = [];
+            server = webhook_server.createServer(secret, function (eventName, payload) {
+                received.push({ eventName: eventName, payload: payload });
+            });
+            server.listen(0, "127.0.0.1", function () {
+                done();
+            });
+        });
+        
+        afterEach(function () {
+            server.close();
+            webhook_server.__set__("MAX_BODY_SIZE", oldMaxBodySize);
+        });
+        
+        function post(body, headers, callback) {
+            var req = http.request({
+                host: "127.0.0.1",
+                port: server.address().port,
+                method: "POST",
+                path: "/",
+                headers: headers
+            }, function (res) {
+                res.resume();
+                res.on("end", function () {
+                    callback(res.statusCode);
+                });
+            });
+            req.end(body);
+        }
+        
+        it("should pass signed deliveries to the handler", function (done) {
+            var body = JSON.stringify({ action: "opened" });
+            post(body, {
+                "X-GitHub-Event": "issues",
+                "X-Hub-Signature-256": sign(body)
+            }, function (statusCode) {
+                expect(statusCode).toBe(202);
+                expect(received).toEqual([{ eventName: "issues", payload: { action: "opened" } }]);
+                done();
+            });
+        });
+        
+        it("should reject deliveries that are too big without passing them on", function (done) {
+            var body = JSON.stringify({ action: "opened", padding: new Array(200).join("x") });
+            webhook_server.__set__("MAX_BODY_SIZE", 100);
+            post(body, {
+                "X-GitHub-Event": "issues",
+                "X-Hub-Signature-256": sign(body)
+            }, function (statusCode) {
+                expect(statusCode).toBe(413);
+                expect(received).toEqual([]);
+                done();
+            });
+        });
+        
+        it("should stop reading deliveries that turn out to be too big", function (done) {
+            var body = JSON.stringify({ action: "opened", padding: new Array(200).join("x") });
+            webhook_server.__set__("MAX_BODY_SIZE", 100);
+            // Without a Content-Length, the size is only known from what's been read.
+            post(body, {
+                "X-GitHub-Event": "issues",
+                "X-Hub-Signature-256": sign(body),
+                "Transfer-Encoding": "chunked"
+            }, function (statusCode) {
+                expect(statusCode).toBe(413);
+                expect(received).toEqual([]);
+                done();
+            });
+        });
+        
+        it("should reject deliveries with a bad signature", function (done) {
+            var body = JSON.stringify({ action: "opened" });
+            post(body, {
+                "X-GitHub-Event": "issues",
+                "X-Hub-Signature-256": "sha256=0000"
+            }, function (statusCode) {
+                expect(statusCode).toBe(401);
+                expect(received).toEqual([]);
+                done();
+            });
+        });
+    });
+});
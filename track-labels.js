@@ -24,52 +24,427 @@
 "use strict";
 
 var Promise = require("bluebird"),
-    fs = Promise.promisifyAll(require("fs")),
+    _ = require("lodash"),
+    path = require("path"),
     tracker_utils = require("./lib/tracker-utils"),
-    report_utils = require("./lib/report-utils");
+    storage_utils = require("./lib/storage"),
+    data_store = require("./lib/data-store"),
+    migrations = require("./lib/migrations"),
+    query = require("./lib/query"),
+    report_utils = require("./lib/report-utils"),
+    stats = require("./lib/stats"),
+    webhook_server = require("./lib/webhook-server");
 
 Promise.longStackTraces();
 
-var config;
+var config,
+    storage,
+    store;
+
+/**
+ * Returns the files to pull from and push to storage: the report, the stats, and wherever the store
+ * keeps the log.
+ * @return {Array.<string>} The files, relative to the storage directory.
+ */
+function getStoredFiles() {
+    return store.files.concat(["index.html", "stats.json", "cumulativeFlow.csv"]);
+}
+
+// The parts of the log that hold each issue's history.
+var HISTORIES = ["issueLabels", "issueMilestones", "issueAssignees", "issueStates"];
+
+/**
+ * Reads the history of issues that have just been fetched from GitHub but weren't read from the
+ * store along with the open issues (because they were closed before this run), and adds it to the
+ * log and issue database, so the changes to them carry on from it.
+ * @param {string} repo The repo.
+ * @param {Object} log The log for the repo. This is changed in place.
+ * @param {Object} db The issue database for the repo, with the newly fetched issues. This is changed in place.
+ * @param {Array.<string>} numbers The issues to read.
+ * @return {Promise} A promise that's resolved when the history has been added.
+ */
+function loadFetchedIssues(repo, log, db, numbers) {
+    if (!numbers.length) {
+        return Promise.resolve();
+    }
+    return store.loadRepo(repo, { issues: numbers.map(Number) }).then(function (previous) {
+        HISTORIES.forEach(function (key) {
+            log[key] = _.extend(log[key] || {}, previous.log[key]);
+        });
+        db.comments = _.extend(db.comments || {}, previous.db.comments);
+        // Like `getLatestIssueInfo()`, keep the requested reviewers until `getRequestedReviewers()` updates them.
+        _.forEach(previous.db.issues, function (issue, number) {
+            if (issue.requestedReviewers) {
+                db.issues[number].requestedReviewers = issue.requestedReviewers;
+            }
+        });
+    });
+}
+
+/**
+ * Fetches everything that's changed on GitHub since the last run and records it in the log.
+ * @param {Object} repoConfig The config for the repo being updated.
+ * @param {Object} log The previous log for the repo. This only needs the open issues.
+ * @param {Object} db The issue database for the repo. This only needs the open issues; the history
+ *      of any others that have changed is read from the store.
+ * @return {Promise} A promise that's resolved with the updated log and issue database.
+ */
+function update(repoConfig, log, db) {
+    var sinceTimestamp = log.timestamp || repoConfig.initial_timestamp,
+        readIssues = Object.keys(db.issues || {}),
+        started = Date.now();
+
+    // Cache of ETags for conditional requests, so quiet runs don't use up our rate limit
+    db.etags = db.etags || {};
+    return Promise.props({
+        log: log,
+        db: db,
+        latestIssues: tracker_utils.getLatestIssueInfo(repoConfig, db),
+        latestComments: tracker_utils.getLatestComments(repoConfig, sinceTimestamp, db.etags),
+        latestReviewComments: tracker_utils.getLatestReviewComments(repoConfig, sinceTimestamp, db.etags),
+        latestEvents: tracker_utils.getLatestEvents(repoConfig, sinceTimestamp, db.etags)
+    }).then(function (data) {
+        return loadFetchedIssues(repoConfig.repo, log, db, _.difference(Object.keys(db.issues), readIssues))
+            .then(function () {
+                return data;
+            });
+    }).then(function (data) {
+        // The reviews can only be fetched for the pull requests we know have been updated.
+        return Promise.join(
+            tracker_utils.getLatestReviews(repoConfig, db, sinceTimestamp, db.etags),
+            tracker_utils.getRequestedReviewers(repoConfig, db, db.etags)
+        ).spread(function (latestReviews) {
+            var latestComments = tracker_utils.mergeCommentInfo(data.latestComments, data.latestReviewComments, latestReviews);
+
+            // Update the label changes in the log based on the new labels
+            tracker_utils.updateLog(repoConfig, data.log, data.db, latestComments, data.latestEvents);
+            // Drop the ETags for pages we didn't need this time, like the reviews of closed pull requests.
+            tracker_utils.pruneEtags(data.db.etags, started);
+            return data;
+        });
+    });
+}
+
+/**
+ * Rebuilds the log from the full GitHub history of every issue, and merges it with the previous
+ * log. Use this when you start tracking an existing repo or add a label to `config.labels`.
+ * @param {Object} repoConfig The config for the repo being rebuilt.
+ * @param {Object} log The previous log for the repo.
+ * @return {Promise} A promise that's resolved with the merged log and the refetched issue database.
+ */
+function backfill(repoConfig, log) {
+    var db = { issues: {} };
+    return Promise.props({
+        latestIssues: tracker_utils.getLatestIssueInfo(repoConfig, db),
+        latestComments: tracker_utils.getLatestComments(repoConfig),
+        latestReviewComments: tracker_utils.getLatestReviewComments(repoConfig),
+        latestEvents: tracker_utils.getLatestEvents(repoConfig)
+    }).then(function (history) {
+        return Promise.join(
+            tracker_utils.getLatestReviews(repoConfig, db),
+            tracker_utils.getRequestedReviewers(repoConfig, db)
+        ).spread(function (latestReviews) {
+            var rebuiltLog = {},
+                latestComments = tracker_utils.mergeCommentInfo(history.latestComments, history.latestReviewComments, latestReviews);
+
+            tracker_utils.updateLog(repoConfig, rebuiltLog, db, latestComments, history.latestEvents);
+            return {
+                log: tracker_utils.mergeLogs(log, rebuiltLog),
+                db: db
+            };
+        });
+    });
+}
+
+/**
+ * If a run fails partway through fetching the issues, saves the issue database along with the
+ * checkpoints and pushes it to storage, so the next run can pick up where this one left off (the
+ * next run pulls from storage first, which would otherwise replace the local copy). The ETags are
+ * dropped, since the comments and events they cover won't make it into the log.
+ * @param {Object} db The issue database.
+ * @return {Promise} A promise that's resolved when the database has been pushed.
+ */
+function saveCheckpoint(db) {
+    var partialDB = _.cloneDeep(db);
+    delete partialDB.etags;
+    _.values(partialDB.repos || {}).forEach(function (repoDB) {
+        delete repoDB.etags;
+    });
+    return store.saveIssues(partialDB).then(function () {
+        return storage.push(store.files);
+    });
+}
+
+/**
+ * Writes the report and the stats (atomically), reading what they need from the store: the open
+ * issues, and the label and state history of every issue.
+ * @return {Promise} A promise that's resolved when the files have been written.
+ */
+function writeReports() {
+    var currentTime = Date.now(),
+        statsData = {},
+        flows = {};
+
+    return Promise.reduce(tracker_utils.getRepos(config), function (data, repo) {
+        return store.loadRepo(repo, { issues: "open", history: true }).then(function (repoData) {
+            var repoStats = stats.generateStats(tracker_utils.getRepoConfig(config, repo), repoData.db, repoData.log, currentTime);
+            statsData = tracker_utils.setRepoData(statsData, config, repo, repoStats);
+            flows[repo] = repoStats.cumulativeFlow;
+            return {
+                log: tracker_utils.setRepoData(data.log, config, repo, repoData.log),
+                db: tracker_utils.setRepoData(data.db, config, repo, repoData.db)
+            };
+        });
+    }, { log: {}, db: {} }).then(function (data) {
+        return Promise.join(
+            tracker_utils.writeFileAtomic(path.join(storage.dir, "index.html"), report_utils.generateReport(config, data.db, data.log)),
+            tracker_utils.writeFileAtomic(path.join(storage.dir, "stats.json"), JSON.stringify(statsData, null, "  ")),
+            tracker_utils.writeFileAtomic(path.join(storage.dir, "cumulativeFlow.csv"),
+                                          stats.formatCumulativeFlowCSV(flows, !!config.repos))
+        );
+    });
+}
+
+/**
+ * Saves the log and the issue database to the store, then writes the report and the stats.
+ * @param {{log: Object, db: Object}} data The log and issue database.
+ * @return {Promise} A promise that's resolved when everything has been written.
+ */
+function saveFiles(data) {
+    return store.save(data).then(writeReports);
+}
+
+/**
+ * Runs a server that receives GitHub webhook deliveries and applies them to the log and issue
+ * database as they come in. After a burst of deliveries has died down, the files are saved and
+ * pushed to storage.
+ * @param {{log: Object, db: Object}} data The previous log and issue database.
+ * @return {Promise} A promise that's only settled if the server fails.
+ */
+function serve(data) {
+    if (!config.webhook_secret) {
+        throw new Error("Must set webhook_secret in config file to run the server");
+    }
+
+    var saving = Promise.resolve(),
+        publish = _.debounce(function () {
+            // Chain the saves so a slow push never overlaps with the next one.
+            saving = saving
+                .then(function () {
+                    return saveFiles(data);
+                })
+                .then(function () {
+                    return storage.push(getStoredFiles());
+                })
+                .catch(function (err) {
+                    console.error("Failed to save changes:", err.stack);
+                });
+        }, config.webhook_debounce || 60 * 1000);
+
+    var server = webhook_server.createServer(config.webhook_secret, function (eventName, payload) {
+        var repo = payload.repository && payload.repository.full_name;
+        if (tracker_utils.getRepos(config).indexOf(repo) === -1) {
+            return;
+        }
+
+        if (webhook_server.applyWebhookEvent(tracker_utils.getRepoConfig(config, repo),
+                                             tracker_utils.getRepoData(data.log, config, repo),
+                                             tracker_utils.getRepoData(data.db, config, repo),
+                                             eventName, payload)) {
+            console.log("Applied " + eventName + " event for " + repo);
+            publish();
+        }
+    });
+
+    return new Promise(function (resolve, reject) {
+        var port = config.webhook_port || 3000;
+        server.on("error", reject);
+        server.listen(port, function () {
+            console.log("Listening for webhooks on port " + port);
+        });
+    });
+}
+
+var repoCommands = {
+    update: update,
+    backfill: backfill
+};
+
+/**
+ * Reads what the command needs from the store for each repo: the open issues for an update, and
+ * everything for a backfill, which merges the whole log. Logs written by older versions of the
+ * tracker are upgraded, and ones written by newer versions are refused.
+ * @return {Promise} A promise that's resolved with the log and issue database.
+ */
+function loadForCommand() {
+    var scope = { issues: command === "backfill" ? "all" : "open" };
+    return Promise.reduce(tracker_utils.getRepos(config), function (data, repo) {
+        return store.loadRepo(repo, scope).then(function (repoData) {
+            migrations.migrateRepoLog(repoData.log, "The log for " + repo);
+            return {
+                log: tracker_utils.setRepoData(data.log, config, repo, repoData.log),
+                db: tracker_utils.setRepoData(data.db, config, repo, repoData.db)
+            };
+        });
+    }, { log: {}, db: {} });
+}
+
+/**
+ * Runs the command on each repo in turn, so we don't hit GitHub with all of them at once, then saves
+ * the results and pushes them to storage.
+ * @param {{log: Object, db: Object}} data The previous log and issue database, from `loadForCommand()`.
+ * @return {Promise} A promise that's resolved when the changes have been pushed.
+ */
+function runCommand(data) {
+    return Promise.reduce(tracker_utils.getRepos(config), function (data, repo) {
+        var repoConfig = tracker_utils.getRepoConfig(config, repo),
+            repoDB = tracker_utils.getRepoData(data.db, config, repo);
+
+        console.log("Tracking " + repo);
+        return repoCommands[command](repoConfig, tracker_utils.getRepoData(data.log, config, repo), repoDB)
+            .then(function (result) {
+                return {
+                    log: tracker_utils.setRepoData(data.log, config, repo, result.log),
+                    db: tracker_utils.setRepoData(data.db, config, repo, result.db)
+                };
+            }, function (err) {
+                if (!repoDB.checkpoints) {
+                    throw err;
+                }
+                return saveCheckpoint(data.db).then(function () {
+                    throw err;
+                }, function (checkpointErr) {
+                    // Report the failure that stopped the run, not just the one that lost the checkpoint.
+                    console.error("Failed to save the checkpoint:", checkpointErr.stack);
+                    throw err;
+                });
+            });
+    }, data)
+        .then(saveFiles)
+        .then(function () {
+            // Push the changes up to storage
+            return storage.push(getStoredFiles());
+        });
+}
+
+/**
+ * Saves the log after it's been upgraded to the current schema version and pushes it to storage,
+ * without fetching anything from GitHub.
+ * @param {{log: Object, db: Object}} data The log and issue database.
+ * @param {Array.<string>} migrated The repos whose logs were upgraded.
+ * @return {Promise} A promise that's resolved when the log has been pushed.
+ */
+function migrate(data, migrated) {
+    if (!migrated.length) {
+        console.log("The log is already at schema version " + migrations.SCHEMA_VERSION);
+        return Promise.resolve();
+    }
+    console.log("Upgraded the log for " + migrated.join(", ") + " to schema version " + migrations.SCHEMA_VERSION);
+    return saveFiles(data)
+        .then(function () {
+            return storage.push(getStoredFiles());
+        });
+}
+
+/**
+ * Rewrites the label history in the log to use the canonical label names from `labelAliases`, and
+ * pushes it to storage. Run this after adding an alias for a label that's been renamed on GitHub.
+ * @param {{log: Object, db: Object}} data The log and issue database.
+ * @return {Promise} A promise that's resolved when the log has been pushed.
+ */
+function repair(data) {
+    var repairedRepos = tracker_utils.getRepos(config).filter(function (repo) {
+        var repaired = tracker_utils.repairLabels(config, tracker_utils.getRepoData(data.log, config, repo));
+        if (repaired.length) {
+            console.log("Repaired the label history of " + repaired.length + " issues in " + repo);
+        }
+        return repaired.length;
+    });
+    if (!repairedRepos.length) {
+        console.log("The label history doesn't need repairing");
+        return Promise.resolve();
+    }
+    return saveFiles(data)
+        .then(function () {
+            return storage.push(getStoredFiles());
+        });
+}
+
+/**
+ * Copies the log and issue database from the JSON files into the SQLite database, and pushes that
+ * to storage. Run this once before switching `database` to "sqlite" in the config.
+ * @return {Promise} A promise that's resolved when the database has been pushed.
+ */
+function importToSQLite() {
+    var jsonStore = new data_store.JSONStore(config, storage.dir),
+        sqliteStore = new data_store.SQLiteStore(config, storage.dir),
+        files = jsonStore.files.concat(sqliteStore.files);
+
+    return storage.pull(files)
+        .then(function () {
+            return data_store.importJSON(jsonStore, sqliteStore);
+        })
+        .then(function () {
+            console.log("Imported the JSON files into " + sqliteStore.filename);
+            return storage.push(files);
+        });
+}
+
+/**
+ * Runs one of the commands that work on the whole log and issue database (everything besides
+ * `update` and `backfill`).
+ * @param {{log: Object, db: Object}} data The log and issue database.
+ * @return {Promise} A promise that's resolved when the command is done.
+ */
+function runOtherCommand(data) {
+    // Upgrade logs written by older versions of the tracker, and refuse to touch ones
+    // written by newer versions.
+    var migrated = migrations.migrateLog(config, data.log);
+    if (command === "migrate") {
+        return migrate(data, migrated);
+    }
+    if (command === "query") {
+        process.stdout.write(query.runQuery(config, data, process.argv.slice(3)) + "\n");
+        return;
+    }
+    if (command === "repair") {
+        return repair(data);
+    }
+    return serve(data);
+}
+
+var command = process.argv[2] || "update",
+    otherCommands = ["server", "import", "migrate", "repair", "query"];
+if (!repoCommands[command] && otherCommands.indexOf(command) === -1) {
+    console.error("Unknown command: " + command + ". Must be one of: " + Object.keys(repoCommands).concat(otherCommands).join(", "));
+    process.exit(1);
+}
+if (command === "query") {
+    // Keep stdout for the answer, so it can be piped into something else, and send the progress
+    // messages (like the storage commands being run) to stderr instead.
+    console.log = console.error;
+}
 
 // Read the configuration file
 tracker_utils.readJSON("config.json")
     .then(function (contents) {
         config = contents;
-        if (!config.repo || !config.labels || !config.storage || !config.api_key) {
-            throw new Error("Must set repo, labels, storage, and api_key in config file");
+        tracker_utils.validateConfig(config);
+        storage = storage_utils.createStorage(config);
+        store = data_store.createStore(config, storage.dir);
+
+        if (command === "import") {
+            return importToSQLite();
         }
-        // Pull the previous log from the storage repo
-        return tracker_utils.updateFiles(config);
-    })
-    .then(function () {
-        return Promise.props({
-            log: tracker_utils.readJSON("storage/log.json"),
-            db: tracker_utils.readJSON("allIssues.json")
-        });
-    })
-    .then(function (data) {
-        return Promise.props({
-            log: data.log,
-            db: data.db,
-            latestIssues: tracker_utils.getLatestIssueInfo(config, data.db),
-            latestComments: tracker_utils.getLatestComments(config, data.log.timestamp || config.initial_timestamp)
-        });
-    })
-    .then(function (data) {
-        // Update the label changes in the log based on the new labels
-        tracker_utils.updateLog(config, data.log, data.db, data.latestIssues, data.latestComments);
-        var logText = JSON.stringify(data.log, null, "  "),
-            dbText = JSON.stringify(data.db, null, "  "),
-            report  = report_utils.generateReport(config, data.db, data.log);
-    
-        return Promise.join(fs.writeFileAsync("storage/log.json", logText),
-                            fs.writeFileAsync("allIssues.json", dbText),
-                            fs.writeFileAsync("storage/index.html", report));
-    })
-    .then(function () {
-        // Push the changes up to the storage repo
-        return tracker_utils.storeFiles(config);
+
+        // Pull the previous log from storage
+        return storage.pull(getStoredFiles())
+            .then(function () {
+                if (repoCommands[command]) {
+                    return loadForCommand().then(runCommand);
+                }
+                return store.load().then(runOtherCommand);
+            });
     })
     .then(function () {
         process.exit(0);